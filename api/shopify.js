@@ -1,9 +1,33 @@
+import pg from 'pg';
+import { decryptSecret } from '../lib/credentials.js';
+import { findSessionUser, getBearerToken } from '../lib/auth.js';
+import { setCorsHeaders } from '../lib/cors.js';
+import { ShopifyApiError, createShopifyClient } from '../lib/shopify.js';
+
+const pool = new pg.Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false
+  }
+});
+
+// Credentials come from the shops table (installed via OAuth), never from the request
+async function getShopCredentials(shop) {
+  const domain = String(shop).trim().toLowerCase();
+  const result = await pool.query(
+    'SELECT shop_domain, access_token_encrypted FROM shops WHERE is_active AND (shop_domain = $1 OR shop_domain = $2)',
+    [domain, `${domain}.myshopify.com`]
+  );
+
+  const row = result.rows[0];
+  if (!row || !row.access_token_encrypted) return null;
+
+  return { storeName: row.shop_domain, accessToken: decryptSecret(row.access_token_encrypted) };
+}
+
 export default async function handler(req, res) {
-  // CORS headers - send on EVERY response
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400');
+  // CORS headers - send on EVERY response (allowlisted origins only)
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
   
   // Handle preflight
   if (req.method === 'OPTIONS') {
@@ -17,42 +41,33 @@ export default async function handler(req, res) {
   
   // Handle POST
   try {
-    const { storeName, accessToken, action, upc } = req.body || {};
+    const user = await findSessionUser(pool, getBearerToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { shop, action, upc } = req.body || {};
+
+    if (!shop) {
+      return res.status(400).json({ error: 'shop is required' });
+    }
+
+    const credentials = await getShopCredentials(shop);
+    if (!credentials) {
+      return res.status(404).json({ error: 'Shop is not installed' });
+    }
+
+    const shopify = createShopifyClient(credentials.storeName, credentials.accessToken);
     
     if (action === 'test') {
-      const response = await fetch(`https://${storeName}/admin/api/2024-01/shop.json`, {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        return res.status(response.status).json({ error: 'Shopify API error' });
-      }
-      
-      const data = await response.json();
+      const { data } = await shopify.get('/shop.json');
       return res.status(200).json({ success: true, shopName: data.shop.name });
     }
     
     if (action === 'getProduct' && upc) {
       const searchUPC = String(upc).trim();
       
-      const response = await fetch(
-        `https://${storeName}/admin/api/2024-01/products.json?limit=10`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': accessToken,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      if (!response.ok) {
-        return res.status(response.status).json({ error: 'Failed to fetch products' });
-      }
-      
-      const data = await response.json();
+      const { data } = await shopify.get('/products.json?limit=10');
       
       // Just return the first 10 products with their barcodes so we can see what Shopify gives us
       const productInfo = data.products.map(p => ({
@@ -75,6 +90,9 @@ export default async function handler(req, res) {
     return res.status(200).json({ message: 'Backend ready' });
     
   } catch (error) {
+    if (error instanceof ShopifyApiError) {
+      return res.status(error.status).json({ error: 'Shopify API error' });
+    }
     return res.status(500).json({ error: error.message });
   }
 }
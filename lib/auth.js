@@ -0,0 +1,67 @@
+// Password hashing and session tokens for API users.
+// Passwords use scrypt with a per-user salt, stored as scrypt:<salt>:<hash>.
+// Sessions are random bearer tokens; only their SHA-256 is stored.
+
+import crypto from 'crypto';
+
+// Lowest to highest; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'merchandiser', 'admin'];
+
+export function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt);
+  return ['scrypt', salt.toString('base64'), hash.toString('base64')].join(':');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'));
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// New session token; hand `token` to the client and store `tokenHash`
+export function createSessionToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashSessionToken(token) };
+}
+
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// Active user for an unexpired session token, or null
+export async function findSessionUser(db, token) {
+  if (!token) return null;
+
+  const result = await db.query(`
+    UPDATE user_sessions s SET last_used_at = NOW()
+    FROM users u
+    WHERE s.token_hash = $1
+      AND s.expires_at > NOW()
+      AND u.user_id = s.user_id
+      AND u.is_active
+    RETURNING u.user_id, u.email, u.name, u.role, s.token_hash, s.expires_at
+  `, [hashSessionToken(token)]);
+
+  return result.rows[0] || null;
+}
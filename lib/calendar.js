@@ -0,0 +1,229 @@
+// Store calendars for analytics. Periods are whole store-local days
+// ('YYYY-MM-DD', end exclusive) that get turned into UTC instants for
+// queries. Weeks start on a configurable day (0 = Sunday). Months, quarters
+// and years are either Gregorian or a retail fiscal calendar: 4-4-5, 4-5-4
+// or 5-4-4 weeks per quarter, in 52/53-week years that end on the last day
+// of the week nearest the end of fiscalYearEndMonth. A 53rd week joins the
+// year's last period.
+
+import { addDays } from './forecast.js';
+import { zonedTime } from './cron.js';
+
+export const CALENDARS = ['gregorian', '4-4-5', '4-5-4', '5-4-4'];
+export const PERIOD_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = n => String(n).padStart(2, '0');
+const dayOfWeek = day => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// What's wrong with a calendar's settings, or null
+export function validateCalendar({ timeZone, weekStart, calendar, fiscalYearEndMonth }) {
+  if (!isValidTimeZone(timeZone)) {
+    return `Unknown time zone: ${timeZone}`;
+  }
+  if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+    return 'weekStart must be 0-6 (0 = Sunday)';
+  }
+  if (!CALENDARS.includes(calendar)) {
+    return `calendar must be one of: ${CALENDARS.join(', ')}`;
+  }
+  if (!Number.isInteger(fiscalYearEndMonth) || fiscalYearEndMonth < 1 || fiscalYearEndMonth > 12) {
+    return 'fiscalYearEndMonth must be 1-12';
+  }
+  return null;
+}
+
+const formatters = {};
+
+// Store-local date of an instant
+export function localDay(date, timeZone) {
+  const formatter = formatters[timeZone] ||= new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, p.value]));
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// UTC instant of the store-local midnight that starts `day`
+export function startOfDay(day, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  return zonedTime(year, month, date, 0, 0, timeZone);
+}
+
+// Last day of fiscal year `year`: the week's last day nearest the end of the month
+function fiscalYearEnd(year, { weekStart, fiscalYearEndMonth }) {
+  const monthEnd = new Date(Date.UTC(year, fiscalYearEndMonth, 0)).toISOString().slice(0, 10);
+  let shift = ((weekStart + 6) % 7 - dayOfWeek(monthEnd) + 7) % 7;
+  if (shift > 3) shift -= 7;
+
+  return addDays(monthEnd, shift);
+}
+
+// Fiscal year containing `day`, named for the calendar year it ends in
+function fiscalYear(day, cal) {
+  let year = parseInt(day.slice(0, 4));
+  if (day > fiscalYearEnd(year, cal)) {
+    year++;
+  } else if (day <= fiscalYearEnd(year - 1, cal)) {
+    year--;
+  }
+
+  return {
+    year,
+    start: addDays(fiscalYearEnd(year - 1, cal), 1),
+    end: addDays(fiscalYearEnd(year, cal), 1)
+  };
+}
+
+// First day of each of the 12 fiscal periods, then the year's end
+function fiscalPeriodStarts(fy, calendar) {
+  const weeks = calendar.split('-').map(Number);
+  const starts = [];
+
+  let day = fy.start;
+  for (let i = 0; i < 12; i++) {
+    starts.push(day);
+    day = addDays(day, weeks[i % 3] * 7);
+  }
+  starts.push(fy.end);
+
+  return starts;
+}
+
+// The day/week/month/quarter/year containing `day`: { start, end, label }
+export function periodOf(unit, day, cal) {
+  if (!PERIOD_UNITS.includes(unit)) {
+    throw new Error(`Unknown period: ${unit} (expected ${PERIOD_UNITS.join(', ')})`);
+  }
+
+  if (unit === 'day') {
+    return { start: day, end: addDays(day, 1), label: day };
+  }
+
+  if (unit === 'week') {
+    const start = addDays(day, -((dayOfWeek(day) - cal.weekStart + 7) % 7));
+    return { start, end: addDays(start, 7), label: start };
+  }
+
+  if (cal.calendar === 'gregorian') {
+    const [year, month] = day.split('-').map(Number);
+    const monthStart = (y, m) => m > 12 ? `${y + 1}-${pad(m - 12)}-01` : `${y}-${pad(m)}-01`;
+
+    if (unit === 'month') {
+      return { start: monthStart(year, month), end: monthStart(year, month + 1), label: `${year}-${pad(month)}` };
+    }
+    if (unit === 'quarter') {
+      const quarter = Math.ceil(month / 3);
+      const first = quarter * 3 - 2;
+      return { start: monthStart(year, first), end: monthStart(year, first + 3), label: `${year}-Q${quarter}` };
+    }
+    return { start: `${year}-01-01`, end: `${year + 1}-01-01`, label: String(year) };
+  }
+
+  const fy = fiscalYear(day, cal);
+  if (unit === 'year') {
+    return { start: fy.start, end: fy.end, label: `FY${fy.year}` };
+  }
+
+  const starts = fiscalPeriodStarts(fy, cal.calendar);
+  const period = starts.slice(0, 12).findLastIndex(start => start <= day);
+
+  if (unit === 'month') {
+    return { start: starts[period], end: starts[period + 1], label: `FY${fy.year}-P${pad(period + 1)}` };
+  }
+  const quarter = Math.floor(period / 3);
+  return { start: starts[quarter * 3], end: starts[quarter * 3 + 3], label: `FY${fy.year}-Q${quarter + 1}` };
+}
+
+// Consecutive periods from the one containing `from` up to `to` (exclusive)
+export function periodsBetween(unit, from, to, cal) {
+  const periods = [];
+  for (let period = periodOf(unit, from, cal); period.start < to; period = periodOf(unit, period.end, cal)) {
+    periods.push(period);
+  }
+  return periods;
+}
+
+// A period with its UTC bounds for filtering order_date
+export function periodBounds(period, timeZone) {
+  return { ...period, startAt: startOfDay(period.start, timeZone), endAt: startOfDay(period.end, timeZone) };
+}
+
+// from/to query values as instants. Plain dates are store-local days and
+// `to` includes its whole day; anything else must parse as a timestamp.
+export function resolveRange(from, to, timeZone) {
+  const parse = (value, name, endOfDay) => {
+    if (!value) return null;
+
+    if (DAY_PATTERN.test(value)) {
+      if (new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) !== value) {
+        throw new Error(`Invalid ${name} date: ${value}`);
+      }
+      return startOfDay(endOfDay ? addDays(value, 1) : value, timeZone);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return date;
+  };
+
+  const range = { from: parse(from, 'from', false), to: parse(to, 'to', true) };
+  if (range.from && range.to && range.from >= range.to) {
+    throw new Error('from must be before to');
+  }
+
+  return range;
+}
+
+export function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+}
+
+// Days [start, end) to compare against. 'previous' is the same number of
+// whole periods just before (or the same number of days when the range
+// doesn't line up with `unit`). 'lastYear' is the same dates a year
+// earlier, or 52 weeks earlier on fiscal calendars and for weekly series
+// so weekdays and week buckets line up.
+export function comparisonRange(kind, unit, start, end, cal) {
+  if (kind === 'lastYear') {
+    if (cal.calendar !== 'gregorian' || unit === 'week') {
+      return { start: addDays(start, -364), end: addDays(end, -364) };
+    }
+    const yearEarlier = day => {
+      const shifted = `${parseInt(day.slice(0, 4)) - 1}${day.slice(4)}`;
+      return shifted.endsWith('-02-29') ? shifted.replace(/29$/, '28') : shifted;
+    };
+    return { start: yearEarlier(start), end: yearEarlier(end) };
+  }
+
+  const aligned = PERIOD_UNITS.includes(unit)
+    && periodOf(unit, start, cal).start === start
+    && periodOf(unit, addDays(end, -1), cal).end === end;
+
+  if (!aligned) {
+    return { start: addDays(start, -daysBetween(start, end)), end: start };
+  }
+
+  let previousStart = start;
+  for (let i = periodsBetween(unit, start, end, cal).length; i > 0; i--) {
+    previousStart = periodOf(unit, addDays(previousStart, -1), cal).start;
+  }
+  return { start: previousStart, end: start };
+}
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { comparisonRange, daysBetween, localDay, periodOf, periodsBetween, resolveRange, startOfDay, validateCalendar } from './calendar.js';
+
+const GREGORIAN = { timeZone: 'UTC', weekStart: 1, calendar: 'gregorian', fiscalYearEndMonth: 12 };
+// NRF-style retail calendar: Sunday weeks, year ends on the Saturday nearest January 31
+const RETAIL = { timeZone: 'UTC', weekStart: 0, calendar: '4-4-5', fiscalYearEndMonth: 1 };
+
+test('validateCalendar reports the first bad setting', () => {
+  assert.equal(validateCalendar(GREGORIAN), null);
+  assert.match(validateCalendar({ ...GREGORIAN, timeZone: 'Mars/Olympus' }), /Unknown time zone/);
+  assert.match(validateCalendar({ ...GREGORIAN, weekStart: 7 }), /weekStart/);
+  assert.match(validateCalendar({ ...GREGORIAN, calendar: '4-4-4' }), /calendar must be one of/);
+  assert.match(validateCalendar({ ...GREGORIAN, fiscalYearEndMonth: 0 }), /fiscalYearEndMonth/);
+});
+
+test('localDay and startOfDay use the store time zone', () => {
+  // 03:00 UTC on Monday is still Sunday evening in Denver
+  assert.equal(localDay(new Date('2026-10-19T03:00:00Z'), 'America/Denver'), '2026-10-18');
+  // Midnight before a spring-forward is still on standard time
+  assert.equal(startOfDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(startOfDay('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+});
+
+test('weeks start on the configured weekday', () => {
+  assert.deepEqual(periodOf('week', '2026-10-21', GREGORIAN), { start: '2026-10-19', end: '2026-10-26', label: '2026-10-19' });
+  assert.equal(periodOf('week', '2026-10-21', { ...GREGORIAN, weekStart: 0 }).start, '2026-10-18');
+});
+
+test('Gregorian months, quarters and years', () => {
+  assert.deepEqual(periodOf('month', '2026-12-15', GREGORIAN), { start: '2026-12-01', end: '2027-01-01', label: '2026-12' });
+  assert.deepEqual(periodOf('quarter', '2026-05-20', GREGORIAN), { start: '2026-04-01', end: '2026-07-01', label: '2026-Q2' });
+  assert.deepEqual(periodOf('year', '2028-02-29', GREGORIAN), { start: '2028-01-01', end: '2029-01-01', label: '2028' });
+});
+
+test('fiscal years end on the week end nearest the fiscal month end', () => {
+  assert.deepEqual(periodOf('year', '2024-06-15', RETAIL), { start: '2024-02-04', end: '2025-02-02', label: 'FY2025' });
+  assert.deepEqual(periodOf('year', '2026-01-31', RETAIL), { start: '2025-02-02', end: '2026-02-01', label: 'FY2026' });
+  assert.equal(periodOf('year', '2026-02-01', RETAIL).label, 'FY2027');
+});
+
+test('4-4-5 periods follow the pattern and a 53rd week joins the last period', () => {
+  const weeks = periods => periods.map(p => daysBetween(p.start, p.end) / 7);
+
+  assert.deepEqual(weeks(periodsBetween('month', '2024-02-04', '2025-02-02', RETAIL)), [4, 4, 5, 4, 4, 5, 4, 4, 5, 4, 4, 5]);
+  // FY2024 ran 2023-01-29 to 2024-02-03: 53 weeks
+  assert.deepEqual(weeks(periodsBetween('month', '2023-01-29', '2024-02-04', RETAIL)), [4, 4, 5, 4, 4, 5, 4, 4, 5, 4, 4, 6]);
+  assert.deepEqual(periodOf('quarter', '2025-05-01', RETAIL), { start: '2025-02-02', end: '2025-05-04', label: 'FY2026-Q1' });
+  assert.equal(periodOf('month', '2025-03-02', RETAIL).label, 'FY2026-P02');
+});
+
+test('periodOf rejects unknown units', () => {
+  assert.throws(() => periodOf('fortnight', '2026-01-01', GREGORIAN), /Unknown period/);
+});
+
+test('resolveRange reads plain dates as store days with `to` inclusive', () => {
+  const range = resolveRange('2026-10-01', '2026-10-31', 'America/Denver');
+  assert.equal(range.from.toISOString(), '2026-10-01T06:00:00.000Z');
+  assert.equal(range.to.toISOString(), '2026-11-01T06:00:00.000Z');
+
+  assert.deepEqual(resolveRange(undefined, undefined, 'UTC'), { from: null, to: null });
+  assert.equal(resolveRange('2026-10-01T12:00:00Z', null, 'UTC').from.toISOString(), '2026-10-01T12:00:00.000Z');
+});
+
+test('resolveRange rejects impossible dates and reversed ranges', () => {
+  assert.throws(() => resolveRange('2026-02-30', null, 'UTC'), /Invalid from date/);
+  assert.throws(() => resolveRange(null, 'yesterday', 'UTC'), /Invalid to/);
+  assert.throws(() => resolveRange('2026-10-02', '2026-10-01', 'UTC'), /from must be before to/);
+});
+
+test('comparisonRange previous covers the same number of whole periods', () => {
+  assert.deepEqual(comparisonRange('previous', 'month', '2026-03-01', '2026-05-01', GREGORIAN), { start: '2026-01-01', end: '2026-03-01' });
+  // A 5-week fiscal period compares against the 4-week period before it
+  assert.deepEqual(comparisonRange('previous', 'month', '2025-03-30', '2025-05-04', RETAIL), { start: '2025-03-02', end: '2025-03-30' });
+  // Unaligned ranges fall back to the same number of days
+  assert.deepEqual(comparisonRange('previous', 'month', '2026-03-10', '2026-03-20', GREGORIAN), { start: '2026-02-28', end: '2026-03-10' });
+});
+
+test('comparisonRange lastYear keeps weekdays for weeks and fiscal calendars', () => {
+  assert.deepEqual(comparisonRange('lastYear', 'week', '2026-10-05', '2026-10-19', GREGORIAN), { start: '2025-10-06', end: '2025-10-20' });
+  assert.deepEqual(comparisonRange('lastYear', 'month', '2025-03-30', '2025-05-04', RETAIL), { start: '2024-03-31', end: '2024-05-05' });
+});
+
+test('comparisonRange lastYear uses calendar dates for Gregorian periods', () => {
+  assert.deepEqual(comparisonRange('lastYear', 'month', '2026-09-01', '2026-10-01', GREGORIAN), { start: '2025-09-01', end: '2025-10-01' });
+  // Feb 29 has no match in the previous year
+  assert.deepEqual(comparisonRange('lastYear', 'day', '2028-02-29', '2028-03-01', GREGORIAN), { start: '2027-02-28', end: '2027-03-01' });
+});
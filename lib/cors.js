@@ -0,0 +1,22 @@
+// CORS allowlist from CORS_ORIGINS (comma-separated origins, e.g.
+// https://planner.example.com,http://localhost:5173). Origins not on the
+// list get no CORS headers, so browsers block the response.
+
+const ALLOWED_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+
+export function hasCorsOrigins() {
+  return ALLOWED_ORIGINS.length > 0;
+}
+
+export function setCorsHeaders(req, res, methods) {
+  const origin = req.headers?.origin;
+  res.setHeader('Vary', 'Origin');
+
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return;
+
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Shopify-Shop-Domain');
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
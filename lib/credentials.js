@@ -0,0 +1,50 @@
+// Encryption for secrets stored in Postgres (Shopify access tokens).
+// AES-256-GCM with a key from CREDENTIALS_KEY: 32 bytes as hex (64 chars)
+// or base64. Stored format: v1:<iv>:<auth tag>:<ciphertext>, all base64.
+
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+
+function getKey() {
+  const raw = process.env.CREDENTIALS_KEY;
+  if (!raw) {
+    throw new Error('CREDENTIALS_KEY is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('CREDENTIALS_KEY must be 32 bytes (64 hex chars or base64)');
+  }
+
+  return key;
+}
+
+export function hasCredentialsKey() {
+  try {
+    getKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+export function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext == null) {
+    throw new Error('Unrecognized encrypted secret format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,154 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// evaluated in a given IANA time zone. Fields take *, lists, ranges and
+// steps (*/15, 1-5, 0,30). Day-of-week is 0-6 with 0 = Sunday (7 also
+// works). As in standard cron, when both day fields are restricted a day
+// matching either one runs, and when clocks fall back a fixed-time job runs
+// once while one with a wildcard minute or hour runs in both repeated hours.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@nightly': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest gap searched for a match (covers Feb 29 schedules)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    const start = match[1] === '*' ? min : parseInt(match[2]);
+    const end = match[1] === '*' ? max : match[3] != null ? parseInt(match[3]) : match[4] ? max : start;
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+// Parse an expression into sorted value lists; throws on bad input
+export function parseCron(expression) {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const fields = text.split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((f, i) => parseField(f, FIELDS[i]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek: [...new Set(daysOfWeek.map(d => d % 7))],
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*',
+    fixedTime: !fields[0].startsWith('*') && !fields[1].startsWith('*')
+  };
+}
+
+const formatters = {};
+
+// Milliseconds the zone is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const formatter = formatters[timeZone] ||= new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(p => [p.type, parseInt(p.value)]));
+
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// UTC instant for a wall-clock time in the zone. A time skipped by a DST
+// jump runs just after it; a repeated time runs on its first occurrence.
+export function zonedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = new Date(wall - zoneOffset(new Date(wall), timeZone));
+  const offset = zoneOffset(first, timeZone);
+  const candidate = new Date(wall - offset);
+
+  return zoneOffset(candidate, timeZone) === offset ? candidate : first;
+}
+
+// Second occurrence of a wall-clock time repeated when clocks fall back, or null
+function repeatedTime(year, month, day, hour, minute, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = zonedTime(year, month, day, hour, minute, timeZone);
+  const later = new Date(wall - zoneOffset(new Date(first.getTime() + 2 * 60 * 60 * 1000), timeZone));
+
+  return later > first && later.getTime() + zoneOffset(later, timeZone) === wall ? later : null;
+}
+
+function dayMatches(cron, date) {
+  const domMatch = cron.daysOfMonth.includes(date.getUTCDate());
+  const dowMatch = cron.daysOfWeek.includes(date.getUTCDay());
+
+  if (!cron.months.includes(date.getUTCMonth() + 1)) return false;
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// First run strictly after `after`, or null if none within the search window
+export function nextCronRun(expression, after = new Date(), timeZone = 'UTC') {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const offset = zoneOffset(after, timeZone);
+  const localNow = new Date(after.getTime() + offset);
+  const day = new Date(Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate()));
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day.setUTCDate(day.getUTCDate() + 1)) {
+    if (!dayMatches(cron, day)) continue;
+
+    // Earliest second occurrence still ahead; these rise with wall time
+    // like first occurrences do, so the first one found is the earliest
+    let repeat = null;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const date = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, timeZone];
+        const run = zonedTime(...date);
+        if (run > after) return repeat && repeat < run ? repeat : run;
+
+        if (!cron.fixedTime && !repeat) {
+          const later = repeatedTime(...date);
+          if (later && later > after) repeat = later;
+        }
+      }
+    }
+
+    if (repeat) return repeat;
+  }
+
+  return null;
+}
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { nextCronRun, parseCron, zonedTime } from './cron.js';
+
+const NEW_YORK = 'America/New_York';
+
+// The next `count` runs after `from`, as UTC HH:MM
+function runs(expression, from, count, timeZone = NEW_YORK) {
+  const out = [];
+  let after = new Date(from);
+  for (let i = 0; i < count; i++) {
+    after = nextCronRun(expression, after, timeZone);
+    out.push(after.toISOString().slice(11, 16));
+  }
+  return out;
+}
+
+test('parseCron expands lists, ranges, steps and aliases', () => {
+  const cron = parseCron('0,30 9-17/4 * * 1-5');
+  assert.deepEqual(cron.minutes, [0, 30]);
+  assert.deepEqual(cron.hours, [9, 13, 17]);
+  assert.deepEqual(cron.daysOfWeek, [1, 2, 3, 4, 5]);
+  assert.deepEqual(parseCron('@daily').hours, [0]);
+  assert.deepEqual(parseCron('0 0 * * 7').daysOfWeek, [0]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute/);
+  assert.throws(() => parseCron('* * * 13 *'), /Invalid month/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+});
+
+test('nextCronRun is strictly after the given time', () => {
+  const run = nextCronRun('0 * * * *', new Date('2026-06-01T10:00:00Z'), 'UTC');
+  assert.equal(run.toISOString(), '2026-06-01T11:00:00.000Z');
+});
+
+test('a day matching either restricted day field runs', () => {
+  // 1st of the month or any Monday; 2026-06-01 is a Monday, 06-08 the next
+  const run = nextCronRun('0 12 1 * 1', new Date('2026-06-01T13:00:00Z'), 'UTC');
+  assert.equal(run.toISOString(), '2026-06-08T12:00:00.000Z');
+});
+
+test('nextCronRun returns null for dates that never exist', () => {
+  assert.equal(nextCronRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'), 'UTC'), null);
+  assert.ok(nextCronRun('0 0 29 2 *', new Date('2026-01-01T00:00:00Z'), 'UTC'));
+});
+
+test('a time skipped when clocks spring forward runs just after the jump', () => {
+  // 2026-03-08 02:30 does not exist in New York
+  const run = nextCronRun('30 2 * * *', new Date('2026-03-08T05:00:00Z'), NEW_YORK);
+  assert.equal(run.toISOString(), '2026-03-08T07:30:00.000Z');
+});
+
+test('a fixed-time schedule runs once in the repeated fall-back hour', () => {
+  // 01:30 on 2026-11-01 happens at 05:30Z (EDT) and again at 06:30Z (EST)
+  assert.equal(nextCronRun('30 1 * * *', new Date('2026-11-01T04:00:00Z'), NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(nextCronRun('30 1 * * *', new Date('2026-11-01T05:30:00Z'), NEW_YORK).toISOString(), '2026-11-02T06:30:00.000Z');
+});
+
+test('wildcard schedules run in both occurrences of the repeated hour', () => {
+  assert.deepEqual(runs('*/15 * * * *', '2026-11-01T05:20:00Z', 7), ['05:30', '05:45', '06:00', '06:15', '06:30', '06:45', '07:00']);
+  assert.deepEqual(runs('0 * * * *', '2026-11-01T04:30:00Z', 3), ['05:00', '06:00', '07:00']);
+  // Late in the first pass the earlier first-occurrence run still wins
+  assert.deepEqual(runs('*/15 * * * *', '2026-11-01T05:40:00Z', 2), ['05:45', '06:00']);
+});
+
+test('zonedTime picks the first of a repeated time', () => {
+  assert.equal(zonedTime(2026, 11, 1, 1, 30, NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(zonedTime(2026, 7, 1, 9, 0, NEW_YORK).toISOString(), '2026-07-01T13:00:00.000Z');
+});
@@ -0,0 +1,203 @@
+// Demand forecasting for daily unit series.
+// Additive Holt-Winters (level + trend + weekly season) with an optional
+// yearly adjustment taken from the same time last year. Short histories fall
+// back to a smoothed seasonal naive forecast.
+
+const WEEK = 7;
+const YEAR = 365;
+
+// Alpha/beta/gamma combinations tried when fitting Holt-Winters
+const PARAM_GRID = [];
+for (const alpha of [0.05, 0.15, 0.3, 0.5]) {
+  for (const beta of [0, 0.02, 0.1]) {
+    for (const gamma of [0.05, 0.2, 0.4]) {
+      PARAM_GRID.push({ alpha, beta, gamma });
+    }
+  }
+}
+
+// 'YYYY-MM-DD' +/- n days
+export function addDays(day, n) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().slice(0, 10);
+}
+
+// Turn sparse [{ day, units }] rows into a dense array from start to end (inclusive)
+export function buildDailySeries(rows, start, end) {
+  const byDay = {};
+  rows.forEach(r => { byDay[r.day] = (byDay[r.day] || 0) + Number(r.units || 0); });
+
+  const series = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    series.push({ day, units: byDay[day] || 0 });
+  }
+  return series;
+}
+
+const mean = values => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+// Fit additive Holt-Winters; returns final state plus one-step-ahead errors
+function fitHoltWinters(values, { alpha, beta, gamma }, period = WEEK) {
+  const firstSeason = values.slice(0, period);
+  const secondSeason = values.slice(period, period * 2);
+
+  let level = mean(firstSeason);
+  let trend = secondSeason.length === period ? (mean(secondSeason) - level) / period : 0;
+  const seasonals = firstSeason.map(v => v - level);
+  const errors = [];
+
+  for (let t = period; t < values.length; t++) {
+    const season = seasonals[t % period];
+    const predicted = level + trend + season;
+    errors.push(values[t] - predicted);
+
+    const lastLevel = level;
+    level = alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - lastLevel) + (1 - beta) * trend;
+    seasonals[t % period] = gamma * (values[t] - level) + (1 - gamma) * season;
+  }
+
+  return { level, trend, seasonals, errors, length: values.length, period };
+}
+
+// Grid-search smoothing parameters on one-step squared error
+function bestHoltWinters(values) {
+  let best = null;
+
+  PARAM_GRID.forEach(params => {
+    const fit = fitHoltWinters(values, params);
+    const sse = fit.errors.reduce((sum, e) => sum + e * e, 0);
+    if (!best || sse < best.sse) best = { ...fit, params, sse };
+  });
+
+  return best;
+}
+
+// Ratio of demand around `day` last year to last year's average, or null
+function yearlyIndex(values, index) {
+  const center = index - YEAR;
+  if (center - 14 < 0 || index < YEAR) return null;
+
+  const lastYear = values.slice(index - YEAR, index);
+  const base = mean(lastYear);
+  if (base <= 0) return null;
+
+  return mean(values.slice(center - 14, center + 15)) / base;
+}
+
+// Forecast `horizon` days past the end of `values`
+function forecastValues(values, horizon) {
+  // Smoothed seasonal naive: average of the same weekday over recent weeks
+  if (values.length < WEEK * 3) {
+    const weeks = Math.max(1, Math.floor(values.length / WEEK));
+    const recent = values.slice(-weeks * WEEK);
+    const byWeekday = Array.from({ length: WEEK }, (_, i) => mean(recent.filter((_, j) => j % WEEK === i)));
+    const fallback = mean(values);
+    const point = Array.from({ length: horizon }, (_, h) => {
+      const weekday = (recent.length + h) % WEEK;
+      return recent.length >= WEEK ? byWeekday[weekday] : fallback;
+    });
+    // Errors of a one-week-back forecast; in-sample residuals against the
+    // weekday averages are zero with a single week of history. Never less
+    // than Poisson noise around the mean so short histories still get a band.
+    const residuals = values.length > WEEK
+      ? values.slice(WEEK).map((v, i) => v - values[i])
+      : values.map(v => v - fallback);
+    const sigma = Math.max(Math.sqrt(mean(residuals.map(e => e * e))), Math.sqrt(Math.max(0, fallback)));
+
+    return { model: 'seasonal_naive', point, sigma, alpha: 1 };
+  }
+
+  const fit = bestHoltWinters(values);
+  const origin = values.length;
+  const originIndex = yearlyIndex(values, origin);
+
+  const point = Array.from({ length: horizon }, (_, h) => {
+    const step = h + 1;
+    let value = fit.level + step * fit.trend + fit.seasonals[(origin + h) % fit.period];
+
+    // Scale by how demand moved between these dates last year
+    const targetIndex = yearlyIndex(values, origin + h);
+    if (originIndex && targetIndex) {
+      value *= Math.min(2, Math.max(0.5, targetIndex / originIndex));
+    }
+
+    return value;
+  });
+
+  return {
+    model: originIndex ? 'holt_winters_yearly' : 'holt_winters',
+    point,
+    sigma: Math.sqrt(mean(fit.errors.map(e => e * e))),
+    alpha: fit.params.alpha,
+    params: fit.params
+  };
+}
+
+// Hold out the last `holdout` days, forecast them and score the error
+export function backtest(values, holdout = 28) {
+  if (values.length < holdout + WEEK) return null;
+
+  const train = values.slice(0, -holdout);
+  const actual = values.slice(-holdout);
+  const { point, model } = forecastValues(train, holdout);
+  const predicted = point.map(v => Math.max(0, v));
+
+  const absErrors = actual.map((a, i) => Math.abs(a - predicted[i]));
+  const totalActual = actual.reduce((a, b) => a + b, 0);
+  const wape = totalActual > 0 ? absErrors.reduce((a, b) => a + b, 0) / totalActual : null;
+
+  return {
+    model,
+    holdoutDays: holdout,
+    mae: Math.round(mean(absErrors) * 100) / 100,
+    // Weighted absolute percentage error: total miss / total actual units
+    wape: wape != null ? Math.round(wape * 1000) / 1000 : null,
+    bias: Math.round((predicted.reduce((a, b) => a + b, 0) - totalActual) * 100) / 100,
+    actualUnits: totalActual,
+    forecastUnits: Math.round(predicted.reduce((a, b) => a + b, 0) * 10) / 10,
+    trust: wape == null || holdout < 14 ? 'unknown' : wape < 0.3 ? 'high' : wape < 0.6 ? 'medium' : 'low'
+  };
+}
+
+// Forecast the next `horizon` days for a dense daily series ([{ day, units }])
+export function forecastDemand(series, { horizon = 28, holdout = 28 } = {}) {
+  const values = series.map(s => s.units);
+  const lastDay = series.length > 0 ? series[series.length - 1].day : null;
+
+  if (values.length === 0 || values.every(v => v === 0)) {
+    return {
+      model: 'none',
+      forecast: lastDay ? Array.from({ length: horizon }, (_, h) => ({ day: addDays(lastDay, h + 1), units: 0, lower80: 0, upper80: 0, lower95: 0, upper95: 0 })) : [],
+      totalUnits: 0,
+      backtest: null
+    };
+  }
+
+  const { model, point, sigma, alpha, params } = forecastValues(values, horizon);
+
+  const forecast = point.map((value, h) => {
+    // Error grows with horizon as level uncertainty compounds
+    const spread = sigma * Math.sqrt(1 + h * alpha * alpha);
+    const round = v => Math.round(Math.max(0, v) * 100) / 100;
+
+    return {
+      day: addDays(lastDay, h + 1),
+      units: round(value),
+      lower80: round(value - 1.28 * spread),
+      upper80: round(value + 1.28 * spread),
+      lower95: round(value - 1.96 * spread),
+      upper95: round(value + 1.96 * spread)
+    };
+  });
+
+  return {
+    model,
+    params: params || null,
+    historyDays: values.length,
+    forecast,
+    totalUnits: Math.round(forecast.reduce((sum, f) => sum + f.units, 0) * 10) / 10,
+    backtest: backtest(values, Math.min(holdout, Math.floor(values.length / 4)))
+  };
+}
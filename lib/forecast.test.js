@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { addDays, backtest, buildDailySeries, forecastDemand } from './forecast.js';
+
+// Dense series from start with units(i) for day i
+const seriesOf = (days, units, start = '2026-01-01') =>
+  Array.from({ length: days }, (_, i) => ({ day: addDays(start, i), units: units(i) }));
+
+test('addDays crosses month, year and leap-day boundaries', () => {
+  assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2028-03-01', -1), '2028-02-29');
+});
+
+test('buildDailySeries fills gaps with zero and sums duplicate days', () => {
+  const series = buildDailySeries([{ day: '2026-03-01', units: '2' }, { day: '2026-03-03', units: 1 }, { day: '2026-03-03', units: 4 }], '2026-03-01', '2026-03-04');
+  assert.deepEqual(series.map(s => s.units), [2, 0, 5, 0]);
+});
+
+test('an all-zero history forecasts zero with no model', () => {
+  const result = forecastDemand(seriesOf(30, () => 0), { horizon: 3 });
+  assert.equal(result.model, 'none');
+  assert.deepEqual(result.forecast.map(f => f.units), [0, 0, 0]);
+});
+
+test('short histories use seasonal naive with a non-zero band', () => {
+  // Exactly one week: in-sample residuals against the weekday averages are all zero
+  const week = seriesOf(7, i => [3, 5, 2, 4, 6, 8, 1][i]);
+  const result = forecastDemand(week, { horizon: 7 });
+
+  assert.equal(result.model, 'seasonal_naive');
+  assert.deepEqual(result.forecast.map(f => f.units), [3, 5, 2, 4, 6, 8, 1]);
+  assert.ok(result.forecast.every(f => f.upper80 > f.units));
+
+  const tenDays = forecastDemand(seriesOf(10, i => [3, 5, 2, 4, 6, 8, 1][i % 7] + (i >= 7 ? 2 : 0)), { horizon: 3 });
+  assert.equal(tenDays.model, 'seasonal_naive');
+  assert.ok(tenDays.forecast.every(f => f.upper95 > f.units));
+});
+
+test('fewer than seven days forecasts the mean', () => {
+  const result = forecastDemand(seriesOf(4, i => [2, 4, 6, 8][i]), { horizon: 2 });
+  assert.equal(result.model, 'seasonal_naive');
+  assert.deepEqual(result.forecast.map(f => f.units), [5, 5]);
+});
+
+test('three weeks or more switch to Holt-Winters and follow the weekly pattern', () => {
+  const pattern = [10, 12, 11, 13, 20, 25, 15];
+  const result = forecastDemand(seriesOf(56, i => pattern[i % 7]), { horizon: 7 });
+
+  assert.equal(result.model, 'holt_winters');
+  result.forecast.forEach((f, h) => assert.ok(Math.abs(f.units - pattern[(56 + h) % 7]) < 1, `day ${h}: ${f.units}`));
+  assert.ok(result.forecast.every(f => f.lower95 <= f.units && f.units <= f.upper95));
+});
+
+test('a year of history adds the yearly adjustment', () => {
+  const result = forecastDemand(seriesOf(400, i => 10 + (i % 7) + (i % 365 > 300 ? 5 : 0)), { horizon: 7 });
+  assert.equal(result.model, 'holt_winters_yearly');
+});
+
+test('backtest needs a holdout plus a week and reports trust', () => {
+  assert.equal(backtest([1, 2, 3], 28), null);
+
+  const values = Array.from({ length: 84 }, (_, i) => [10, 12, 11, 13, 20, 25, 15][i % 7]);
+  const result = backtest(values, 28);
+  assert.equal(result.holdoutDays, 28);
+  assert.equal(result.trust, 'high');
+  assert.ok(result.wape < 0.05);
+});
@@ -0,0 +1,172 @@
+// Versioned schema migrations. Each file in migrations/ is numbered and
+// either a JS module (NNN_name.js exporting up(client) and optionally
+// down(client)) or a pair of SQL files (NNN_name.up.sql / NNN_name.down.sql).
+// Applied versions are recorded in schema_migrations. Every migration runs
+// in its own transaction, and a session advisory lock serializes runners so
+// two processes booting at once can't apply the same migration twice.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const FILE_PATTERN = /^(\d+)_([\w-]+?)(?:\.(up|down))?\.(js|sql)$/;
+
+// Migrations on disk, sorted by version
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = {};
+
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, number, name, direction, ext] = match;
+    const version = parseInt(number);
+    const migration = byVersion[version] ||= { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has more than one name: ${migration.name}, ${name}`);
+    }
+
+    if (ext === 'js') {
+      if (direction || migration.up) {
+        throw new Error(`Migration ${version}_${name} must be one .js file or .up.sql/.down.sql files`);
+      }
+      const module = await import(pathToFileURL(path.join(dir, file)).href);
+      migration.up = module.up;
+      migration.down = module.down;
+    } else {
+      if (!direction || migration[direction]) {
+        throw new Error(`Migration ${version}_${name} must be one .js file or .up.sql/.down.sql files`);
+      }
+      const sql = await fs.readFile(path.join(dir, file), 'utf8');
+      migration[direction] = client => client.query(sql);
+    }
+  }
+
+  const migrations = Object.values(byVersion).sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up step`);
+    }
+  }
+
+  return migrations;
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ DEFAULT NOW()
+        );
+      `);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+async function runStep(client, migration, direction) {
+  const started = Date.now();
+
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`);
+  }
+
+  console.log(`🗄️ ${direction === 'up' ? 'Applied' : 'Rolled back'} migration ${migration.version}_${migration.name} in ${Date.now() - started}ms`);
+}
+
+// Apply pending migrations in order, optionally stopping at a version.
+// Returns the migrations that were applied.
+export async function migrate(pool, { to = Infinity, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async client => {
+    const applied = new Set((await getApplied(client)).map(row => row.version));
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+
+    return pending;
+  });
+}
+
+// Roll back the most recent applied migrations, newest first
+export async function rollback(pool, { steps = 1, dir } = {}) {
+  const migrations = await loadMigrations(dir);
+  const byVersion = Object.fromEntries(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(pool, async client => {
+    const targets = (await getApplied(client)).reverse().slice(0, steps);
+
+    for (const row of targets) {
+      const migration = byVersion[row.version];
+      if (!migration) {
+        throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+      }
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${row.version}_${row.name} has no down step and can't be rolled back`);
+      }
+    }
+
+    for (const row of targets) {
+      await runStep(client, byVersion[row.version], 'down');
+    }
+
+    return targets.map(row => byVersion[row.version]);
+  });
+}
+
+// Every known migration with whether and when it was applied. Versions
+// recorded in the database with no file on disk are flagged as missing.
+export async function migrationStatus(pool, { dir } = {}) {
+  const migrations = await loadMigrations(dir);
+
+  return withMigrationLock(pool, async client => {
+    const applied = Object.fromEntries((await getApplied(client)).map(row => [row.version, row]));
+    const status = migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: Boolean(applied[m.version]),
+      appliedAt: applied[m.version]?.applied_at || null,
+      reversible: typeof m.down === 'function'
+    }));
+
+    for (const row of Object.values(applied)) {
+      if (!migrations.some(m => m.version === row.version)) {
+        status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
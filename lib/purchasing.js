@@ -0,0 +1,68 @@
+// Purchase-order rules that don't need the database: order-day schedules,
+// the PO status lifecycle, request line validation and CSV export cells.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const PO_STATUSES = ['draft', 'sent', 'received', 'cancelled'];
+
+// Statuses a PO can move to from each status
+export const PO_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['received', 'cancelled'],
+  received: [],
+  cancelled: []
+};
+
+// Statuses a PO can be in to move to `status`
+export function statusesMovableTo(status) {
+  return PO_STATUSES.filter(from => PO_TRANSITIONS[from].includes(status));
+}
+
+// Next order day and days until the one after it (review period), in the shop's time
+export function getOrderSchedule(orderDays, timeZone, now = new Date()) {
+  const today = new Intl.DateTimeFormat('en-US', { weekday: 'short', timeZone })
+    .format(now).toLowerCase();
+  const todayIndex = WEEKDAYS.indexOf(today);
+  const indexes = (orderDays || []).map(d => WEEKDAYS.indexOf(d)).filter(i => i >= 0);
+
+  // No schedule means you can order any day
+  if (indexes.length === 0) return { daysUntilNextOrder: 0, reviewPeriodDays: 1 };
+
+  const offsets = indexes.map(i => (i - todayIndex + 7) % 7).sort((a, b) => a - b);
+  const next = offsets[0];
+  const following = offsets.find(o => o > next) ?? next + 7;
+
+  return { daysUntilNextOrder: next, reviewPeriodDays: following - next };
+}
+
+// What's wrong with PO lines from a request, or null
+export function validatePurchaseOrderLines(lines) {
+  const isPositiveInt = v => Number.isInteger(Number(v)) && Number(v) > 0;
+
+  for (const [i, line] of lines.entries()) {
+    if (!line || typeof line !== 'object') {
+      return `lines[${i}] must be an object`;
+    }
+    if (line.variantId == null || line.variantId === '') {
+      return `lines[${i}].variantId is required`;
+    }
+    if (line.casePack != null && !isPositiveInt(line.casePack)) {
+      return `lines[${i}].casePack must be a positive integer`;
+    }
+    if (line.quantity != null) {
+      if (!isPositiveInt(line.quantity)) return `lines[${i}].quantity must be a positive integer`;
+    } else if (!isPositiveInt(line.cases)) {
+      return `lines[${i}] needs a positive integer quantity or cases`;
+    }
+    if (line.unitCost != null && line.unitCost !== '' && !(Number(line.unitCost) >= 0)) {
+      return `lines[${i}].unitCost must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+export function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  // Keep spreadsheets from evaluating product names etc. as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PO_STATUSES, csvCell, getOrderSchedule, statusesMovableTo, validatePurchaseOrderLines } from './purchasing.js';
+
+test('POs move draft -> sent -> received, or to cancelled before receipt', () => {
+  assert.deepEqual(statusesMovableTo('sent'), ['draft']);
+  assert.deepEqual(statusesMovableTo('received'), ['sent']);
+  assert.deepEqual(statusesMovableTo('cancelled'), ['draft', 'sent']);
+  assert.deepEqual(statusesMovableTo('draft'), []);
+});
+
+test('received and cancelled POs are final', () => {
+  for (const status of PO_STATUSES) {
+    const from = statusesMovableTo(status);
+    assert.ok(!from.includes('received') && !from.includes('cancelled'), `${status} reachable from a final status`);
+  }
+});
+
+test('validatePurchaseOrderLines accepts quantity or cases', () => {
+  assert.equal(validatePurchaseOrderLines([
+    { variantId: '1', quantity: 12 },
+    { variantId: 2, cases: '3', casePack: 6, unitCost: '1.25' }
+  ]), null);
+});
+
+test('validatePurchaseOrderLines names the first bad line', () => {
+  assert.equal(validatePurchaseOrderLines([{ quantity: 1 }]), 'lines[0].variantId is required');
+  assert.equal(validatePurchaseOrderLines([{ variantId: '1', quantity: 1 }, { variantId: '2', quantity: -4 }]), 'lines[1].quantity must be a positive integer');
+  assert.equal(validatePurchaseOrderLines([{ variantId: '1', quantity: 2.5 }]), 'lines[0].quantity must be a positive integer');
+  assert.equal(validatePurchaseOrderLines([{ variantId: '1' }]), 'lines[0] needs a positive integer quantity or cases');
+  assert.equal(validatePurchaseOrderLines([{ variantId: '1', cases: 1, casePack: 0 }]), 'lines[0].casePack must be a positive integer');
+  assert.equal(validatePurchaseOrderLines([{ variantId: '1', quantity: 1, unitCost: 'abc' }]), 'lines[0].unitCost must be a non-negative number');
+  assert.equal(validatePurchaseOrderLines(['x']), 'lines[0] must be an object');
+});
+
+test('csvCell quotes delimiters and defuses formulas', () => {
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(12), '12');
+  assert.equal(csvCell('Chips, "Salted"'), '"Chips, ""Salted"""');
+  assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvCell('+1'), "'+1");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('getOrderSchedule counts days to the next order day in the shop timezone', () => {
+  // 2026-10-19 03:00 UTC is Monday in UTC but still Sunday in Denver
+  const now = new Date('2026-10-19T03:00:00Z');
+
+  assert.deepEqual(getOrderSchedule(['mon', 'thu'], 'UTC', now), { daysUntilNextOrder: 0, reviewPeriodDays: 3 });
+  assert.deepEqual(getOrderSchedule(['mon', 'thu'], 'America/Denver', now), { daysUntilNextOrder: 1, reviewPeriodDays: 3 });
+  assert.deepEqual(getOrderSchedule(['wed'], 'UTC', now), { daysUntilNextOrder: 2, reviewPeriodDays: 7 });
+  assert.deepEqual(getOrderSchedule([], 'UTC', now), { daysUntilNextOrder: 0, reviewPeriodDays: 1 });
+});
@@ -0,0 +1,143 @@
+// Shared Shopify Admin REST client. Every Shopify call goes through here so
+// the API version lives in one place (SHOPIFY_API_VERSION) and rate limits
+// are handled the same way everywhere:
+// - X-Shopify-Shop-Api-Call-Limit: pause before the bucket fills
+// - 429: wait out Retry-After, then retry
+// - 5xx / network errors: retry with jittered exponential backoff
+
+import crypto from 'crypto';
+
+export const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+// REST bucket leaks 2 calls/second; start pacing once it's this full
+const CALL_LIMIT_THRESHOLD = 0.8;
+const LEAK_MS_PER_CALL = 500;
+
+export class ShopifyApiError extends Error {
+  constructor(status, body) {
+    super(`Shopify API error: ${status} - ${body}`);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Earliest time the next call to each shop should go out
+const nextCallAt = {};
+
+function backoffMs(attempt) {
+  const exponential = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+// "32/40" -> delay the next call until enough of the bucket has leaked
+function trackCallLimit(shopDomain, header) {
+  const match = String(header || '').match(/^(\d+)\/(\d+)$/);
+  if (!match) return;
+
+  const used = parseInt(match[1]);
+  const limit = parseInt(match[2]);
+  const over = used - Math.floor(limit * CALL_LIMIT_THRESHOLD);
+
+  if (over >= 0) {
+    nextCallAt[shopDomain] = Date.now() + (over + 1) * LEAK_MS_PER_CALL;
+  }
+}
+
+// Pull the page_info cursor for the next page out of Shopify's Link header
+export function getNextPageInfo(linkHeader) {
+  if (!linkHeader) return null;
+
+  for (const part of linkHeader.split(',')) {
+    if (!part.includes('rel="next"')) continue;
+    const match = part.match(/[?&]page_info=([^&>]+)/);
+    if (match) return decodeURIComponent(match[1]);
+  }
+
+  return null;
+}
+
+// fetch with pacing and retries; resolves to an OK response or throws ShopifyApiError.
+// Pass retry: false for calls that mustn't be sent twice (single-use codes).
+export async function shopifyFetch(shopDomain, url, { retry = true, ...init } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = (nextCallAt[shopDomain] || 0) - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (!retry || attempt >= MAX_RETRIES) throw error;
+      const delay = backoffMs(attempt);
+      console.log(`⚠️ Shopify request to ${shopDomain} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    trackCallLimit(shopDomain, response.headers.get('x-shopify-shop-api-call-limit'));
+
+    if (response.ok) {
+      return response;
+    }
+
+    if (retry && attempt < MAX_RETRIES && (response.status === 429 || response.status >= 500)) {
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      const delay = response.status === 429 && retryAfter > 0 ? Math.ceil(retryAfter * 1000) : backoffMs(attempt);
+
+      console.log(`⚠️ Shopify ${response.status} from ${shopDomain}, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await response.body?.cancel().catch(() => {});
+      await sleep(delay);
+      continue;
+    }
+
+    throw new ShopifyApiError(response.status, await response.text());
+  }
+}
+
+// Client bound to one shop and token. Paths are relative to the versioned
+// Admin API (/orders.json?...) unless they start with /admin/ (OAuth endpoints).
+export function createShopifyClient(shopDomain, accessToken) {
+  const baseUrl = `https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}`;
+
+  async function request(path, { method = 'GET', body } = {}) {
+    const url = path.startsWith('/admin/') ? `https://${shopDomain}${path}` : `${baseUrl}${path}`;
+    const response = await shopifyFetch(shopDomain, url, {
+      method,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    return {
+      data: await response.json(),
+      nextPageInfo: getNextPageInfo(response.headers.get('link'))
+    };
+  }
+
+  return {
+    shopDomain,
+    apiVersion: SHOPIFY_API_VERSION,
+    request,
+    get: path => request(path)
+  };
+}
+
+// Check a webhook's X-Shopify-Hmac-Sha256 (base64) against the raw request body
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!secret || !signature || !rawBody) return false;
+
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const provided = Buffer.from(signature, 'base64');
+
+  return provided.length === digest.length && crypto.timingSafeEqual(provided, digest);
+}
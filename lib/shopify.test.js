@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { test } from 'node:test';
+import { getNextPageInfo, verifyWebhookSignature } from './shopify.js';
+
+const SECRET = 'webhook-secret';
+const body = Buffer.from('{"id":1001,"total_price":"12.50"}');
+const sign = (data, secret = SECRET) => crypto.createHmac('sha256', secret).update(data).digest('base64');
+
+test('verifyWebhookSignature accepts the HMAC of the raw body', () => {
+  assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+});
+
+test('verifyWebhookSignature rejects a tampered body or wrong secret', () => {
+  assert.equal(verifyWebhookSignature(Buffer.from('{"id":1001,"total_price":"0.01"}'), sign(body), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body, 'other-secret'), SECRET), false);
+});
+
+test('verifyWebhookSignature rejects missing or malformed input', () => {
+  assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+  assert.equal(verifyWebhookSignature(body, sign(body), undefined), false);
+  assert.equal(verifyWebhookSignature(undefined, sign(body), SECRET), false);
+  // Wrong length must not throw from timingSafeEqual
+  assert.equal(verifyWebhookSignature(body, 'c2hvcnQ=', SECRET), false);
+});
+
+test('getNextPageInfo reads the next cursor from a Link header', () => {
+  const link = '<https://shop.myshopify.com/admin/api/2024-10/orders.json?limit=250&page_info=abc%3D>; rel="previous", '
+    + '<https://shop.myshopify.com/admin/api/2024-10/orders.json?limit=250&page_info=def%3D>; rel="next"';
+
+  assert.equal(getNextPageInfo(link), 'def=');
+  assert.equal(getNextPageInfo(link.split(',')[0]), null);
+  assert.equal(getNextPageInfo(null), null);
+});
@@ -0,0 +1,527 @@
+// Baseline schema: every table as it stood before versioned migrations.
+// Statements stay idempotent so databases created by the old boot-time
+// CREATE TABLE IF NOT EXISTS setup adopt this version without changes.
+
+// Tables that get a shop_id column (mirrors SHOP_SCOPED_TABLES in server.js)
+const SHOP_SCOPED_TABLES = [
+  'products', 'inventory_levels', 'sales_data', 'orders', 'order_items',
+  'refunds', 'refund_line_items', 'distributor_settings', 'distributor_case_packs',
+  'purchase_orders', 'inventory_snapshots', 'stockouts', 'product_correlations',
+  'sync_checkpoints', 'webhook_deliveries', 'correlation_baskets',
+  'correlation_item_counts', 'correlation_pair_counts', 'stores'
+];
+
+export async function up(client) {
+  // Shopify storefronts; everything else is scoped to one of these
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS shops (
+      shop_id SERIAL PRIMARY KEY,
+      shop_domain TEXT NOT NULL UNIQUE,
+      name TEXT,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    ALTER TABLE shops
+      ADD COLUMN IF NOT EXISTS access_token_encrypted TEXT,
+      ADD COLUMN IF NOT EXISTS scopes TEXT,
+      ADD COLUMN IF NOT EXISTS installed_at TIMESTAMPTZ;
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS oauth_states (
+      state TEXT PRIMARY KEY,
+      shop_domain TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // API users and their login sessions
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL UNIQUE,
+      name TEXT,
+      role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'merchandiser', 'admin')),
+      password_hash TEXT NOT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      last_login_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);');
+
+  // Background jobs (syncs, recomputations) and their progress
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      job_id SERIAL PRIMARY KEY,
+      job_type TEXT NOT NULL,
+      shop_id INTEGER REFERENCES shops(shop_id),
+      payload JSONB NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+      progress JSONB,
+      result JSONB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      worker_id TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query("CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status IN ('queued', 'running');");
+  await client.query('CREATE INDEX IF NOT EXISTS idx_jobs_type_shop ON jobs(job_type, shop_id, job_id DESC);');
+
+  // Recurring jobs: cron (store timezone) or after another job type
+  const schedulesExisted = await client.query("SELECT to_regclass('schedules') IS NOT NULL as existed");
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schedules (
+      schedule_id SERIAL PRIMARY KEY,
+      name TEXT,
+      job_type TEXT NOT NULL,
+      shop_id INTEGER REFERENCES shops(shop_id),
+      cron TEXT,
+      after_job_type TEXT,
+      payload JSONB NOT NULL DEFAULT '{}',
+      is_paused BOOLEAN DEFAULT FALSE,
+      next_run_at TIMESTAMPTZ,
+      last_run_at TIMESTAMPTZ,
+      last_job_id INTEGER REFERENCES jobs(job_id) ON DELETE SET NULL,
+      last_error TEXT,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      CHECK ((cron IS NULL) <> (after_job_type IS NULL))
+    );
+  `);
+  await client.query("CREATE INDEX IF NOT EXISTS idx_schedules_due ON schedules(next_run_at) WHERE NOT is_paused;");
+
+  // Shops registered before schedules existed get the defaults once; the
+  // scheduler works out the real next run after the first one fires
+  if (!schedulesExisted.rows[0].existed) {
+    await client.query(`
+      INSERT INTO schedules (name, job_type, shop_id, cron, next_run_at, created_by)
+      SELECT d.name, d.job_type, s.shop_id, d.cron, NOW(), 'default'
+      FROM shops s
+      CROSS JOIN (VALUES
+        ('Order sync every 15 minutes', 'order_sync', '*/15 * * * *'),
+        ('Nightly product sync', 'product_sync', '0 3 * * *')
+      ) AS d(name, job_type, cron)
+      WHERE s.is_active
+    `);
+  }
+
+  // Create products table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      variant_id TEXT PRIMARY KEY,
+      product_id BIGINT NOT NULL,
+      title TEXT NOT NULL,
+      variant_title TEXT,
+      barcode TEXT,
+      sku TEXT,
+      price DECIMAL(10,2),
+      compare_at_price DECIMAL(10,2),
+      cost DECIMAL(10,2),
+      inventory_quantity INTEGER,
+      vendor TEXT,
+      tags TEXT,
+      distributor TEXT,
+      created_at TIMESTAMP,
+      updated_at TIMESTAMP
+    );
+  `);
+
+  // Columns written by the Shopify product sync
+  await client.query(`
+    ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS inventory_item_id BIGINT,
+      ADD COLUMN IF NOT EXISTS image_url TEXT,
+      ADD COLUMN IF NOT EXISTS is_deleted BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_products_inventory_item ON products(inventory_item_id);`);
+
+  // Per-location stock; products.inventory_quantity is the sum across locations
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS inventory_levels (
+      inventory_item_id BIGINT NOT NULL,
+      location_id BIGINT NOT NULL,
+      available INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (inventory_item_id, location_id)
+    );
+  `);
+
+  // Create sales_data table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sales_data (
+      variant_id BIGINT PRIMARY KEY,
+      daily_sales INTEGER DEFAULT 0,
+      weekly_sales INTEGER DEFAULT 0,
+      monthly_sales INTEGER DEFAULT 0,
+      quarterly_sales INTEGER DEFAULT 0,
+      yearly_sales INTEGER DEFAULT 0,
+      all_time_sales INTEGER DEFAULT 0,
+      last_updated TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    ALTER TABLE sales_data
+      ALTER COLUMN variant_id TYPE TEXT,
+      ADD COLUMN IF NOT EXISTS net_daily_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS net_weekly_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS net_monthly_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS net_quarterly_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS net_yearly_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS net_all_time_sales INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS refunded_units INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS cancelled_units INTEGER DEFAULT 0;
+  `);
+
+  // Create orders table - optimized for Order Blitz
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      order_id BIGINT PRIMARY KEY,
+      order_number TEXT,
+      customer_id BIGINT,
+      customer_email_hash TEXT,
+      total_price DECIMAL(10,2),
+      subtotal_price DECIMAL(10,2),
+      total_tax DECIMAL(10,2),
+      order_date TIMESTAMPTZ,
+      financial_status TEXT,
+      fulfillment_status TEXT,
+      is_returning_customer BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Cancellation/refund tracking
+  await client.query(`
+    ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS cancel_reason TEXT,
+      ADD COLUMN IF NOT EXISTS total_refunded DECIMAL(10,2) DEFAULT 0;
+  `);
+
+  // Create index on order_date for fast queries
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_order_date ON orders(order_date DESC);`);
+
+  // Create order_items table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id SERIAL PRIMARY KEY,
+      order_id BIGINT REFERENCES orders(order_id) ON DELETE CASCADE,
+      variant_id TEXT,
+      product_id TEXT,
+      title TEXT,
+      variant_title TEXT,
+      quantity INTEGER,
+      price DECIMAL(10,2),
+      cart_position INTEGER,
+      customer_is_returning BOOLEAN DEFAULT FALSE,
+      line_item_id BIGINT
+    );
+  `);
+  await client.query(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS line_item_id BIGINT;`);
+
+  // Lines are keyed on Shopify's line_item.id. Rows written before that
+  // (line_item_id NULL) are rewritten by a line_item_backfill job.
+  await client.query(`
+    DELETE FROM order_items a USING order_items b
+    WHERE a.line_item_id = b.line_item_id AND a.id < b.id
+  `);
+  await client.query('ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_order_id_variant_id_cart_position_key;');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_order_items_line_item ON order_items(line_item_id);');
+
+  // Refunds and the line items they return
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refunds (
+      refund_id BIGINT PRIMARY KEY,
+      order_id BIGINT NOT NULL REFERENCES orders(order_id) ON DELETE CASCADE,
+      amount DECIMAL(10,2) DEFAULT 0,
+      note TEXT,
+      restock BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMPTZ
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refund_line_items (
+      refund_line_item_id BIGINT PRIMARY KEY,
+      refund_id BIGINT NOT NULL REFERENCES refunds(refund_id) ON DELETE CASCADE,
+      order_id BIGINT NOT NULL,
+      line_item_id BIGINT,
+      variant_id TEXT,
+      quantity INTEGER DEFAULT 0,
+      subtotal DECIMAL(10,2) DEFAULT 0,
+      total_tax DECIMAL(10,2) DEFAULT 0,
+      restock_type TEXT
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_refund_line_items_order ON refund_line_items(order_id, line_item_id);`);
+
+  // Purchasing: distributor settings and saved purchase orders
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS distributor_settings (
+      distributor_name TEXT PRIMARY KEY,
+      lead_time_days INTEGER DEFAULT 7,
+      order_days TEXT[] DEFAULT '{}',
+      min_order_value DECIMAL(10,2) DEFAULT 0,
+      default_case_pack INTEGER DEFAULT 1,
+      safety_stock_days DECIMAL(6,2) DEFAULT 3,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS distributor_case_packs (
+      variant_id TEXT PRIMARY KEY,
+      distributor_name TEXT,
+      case_pack INTEGER NOT NULL CHECK (case_pack >= 1)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_orders (
+      po_id SERIAL PRIMARY KEY,
+      distributor_name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'received', 'cancelled')),
+      notes TEXT,
+      total_cost DECIMAL(12,2) DEFAULT 0,
+      created_at TIMESTAMP DEFAULT NOW(),
+      sent_at TIMESTAMP,
+      received_at TIMESTAMP
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS purchase_order_lines (
+      line_id SERIAL PRIMARY KEY,
+      po_id INTEGER NOT NULL REFERENCES purchase_orders(po_id) ON DELETE CASCADE,
+      variant_id TEXT NOT NULL,
+      case_pack INTEGER DEFAULT 1,
+      cases INTEGER DEFAULT 0,
+      quantity INTEGER NOT NULL,
+      unit_cost DECIMAL(10,2) DEFAULT 0,
+      line_cost DECIMAL(12,2) DEFAULT 0
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_variant ON purchase_order_lines(variant_id);`);
+
+  // Inventory history: a snapshot whenever stock changes (and at least daily),
+  // plus the stockout intervals detected from them
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS inventory_snapshots (
+      variant_id TEXT NOT NULL,
+      snapshot_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      quantity INTEGER NOT NULL,
+      PRIMARY KEY (variant_id, snapshot_at)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stockouts (
+      id SERIAL PRIMARY KEY,
+      variant_id TEXT NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ,
+      daily_velocity DECIMAL(10,4) DEFAULT 0
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_stockouts_variant ON stockouts(variant_id, started_at);`);
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_stockouts_open ON stockouts(variant_id) WHERE ended_at IS NULL;`);
+
+  // Create product_correlations table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_correlations (
+      id SERIAL PRIMARY KEY,
+      variant_a_id TEXT NOT NULL,
+      variant_b_id TEXT NOT NULL,
+      co_purchase_count INTEGER DEFAULT 1,
+      correlation_score DECIMAL(5,4) DEFAULT 0,
+      last_updated TIMESTAMP DEFAULT NOW(),
+      UNIQUE(variant_a_id, variant_b_id)
+    );
+  `);
+  await client.query(`
+    ALTER TABLE product_correlations
+      ADD COLUMN IF NOT EXISTS order_count_a INTEGER,
+      ADD COLUMN IF NOT EXISTS order_count_b INTEGER,
+      ADD COLUMN IF NOT EXISTS support DECIMAL(12,10),
+      ADD COLUMN IF NOT EXISTS confidence_a_to_b DECIMAL(6,5),
+      ADD COLUMN IF NOT EXISTS confidence_b_to_a DECIMAL(6,5),
+      ADD COLUMN IF NOT EXISTS lift DECIMAL(12,4),
+      ALTER COLUMN correlation_score TYPE DECIMAL(12,4);
+  `);
+
+  // Create sync_checkpoints table so interrupted syncs can resume
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sync_checkpoints (
+      sync_type TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT 'completed',
+      page_info TEXT,
+      window_field TEXT,
+      window_since TIMESTAMPTZ,
+      last_updated_at TIMESTAMPTZ,
+      pages_fetched INTEGER DEFAULT 0,
+      orders_fetched INTEGER DEFAULT 0,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Webhook delivery log (idempotency + replay)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      webhook_id TEXT PRIMARY KEY,
+      topic TEXT NOT NULL,
+      shop_domain TEXT,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'received',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      received_at TIMESTAMPTZ DEFAULT NOW(),
+      processed_at TIMESTAMPTZ
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at DESC);`);
+
+  // Count tables behind incremental correlation updates
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS correlation_baskets (
+      order_id BIGINT PRIMARY KEY,
+      variant_ids TEXT[] NOT NULL
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS correlation_item_counts (
+      variant_id TEXT PRIMARY KEY,
+      order_count INTEGER NOT NULL
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS correlation_pair_counts (
+      variant_a_id TEXT NOT NULL,
+      variant_b_id TEXT NOT NULL,
+      co_purchase_count INTEGER NOT NULL,
+      PRIMARY KEY (variant_a_id, variant_b_id)
+    );
+  `);
+
+  // Planogram tables: stores -> fixtures -> shelves -> facings
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stores (
+      store_id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      code TEXT UNIQUE,
+      address TEXT,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS fixtures (
+      fixture_id SERIAL PRIMARY KEY,
+      store_id INTEGER NOT NULL REFERENCES stores(store_id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      fixture_type TEXT DEFAULT 'gondola',
+      aisle TEXT,
+      width DECIMAL(8,2) NOT NULL CHECK (width > 0),
+      height DECIMAL(8,2),
+      depth DECIMAL(8,2),
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS shelves (
+      shelf_id SERIAL PRIMARY KEY,
+      fixture_id INTEGER NOT NULL REFERENCES fixtures(fixture_id) ON DELETE CASCADE,
+      shelf_number INTEGER NOT NULL,
+      width DECIMAL(8,2) NOT NULL CHECK (width > 0),
+      height DECIMAL(8,2),
+      depth DECIMAL(8,2),
+      height_from_floor DECIMAL(8,2),
+      UNIQUE(fixture_id, shelf_number)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS facings (
+      facing_id SERIAL PRIMARY KEY,
+      shelf_id INTEGER NOT NULL REFERENCES shelves(shelf_id) ON DELETE CASCADE,
+      variant_id TEXT NOT NULL REFERENCES products(variant_id),
+      position_x DECIMAL(8,2) NOT NULL CHECK (position_x >= 0),
+      facings_count INTEGER NOT NULL DEFAULT 1 CHECK (facings_count >= 1),
+      depth_count INTEGER NOT NULL DEFAULT 1 CHECK (depth_count >= 1),
+      unit_width DECIMAL(8,2) NOT NULL CHECK (unit_width > 0),
+      orientation TEXT NOT NULL DEFAULT 'front'
+    );
+  `);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_facings_shelf ON facings(shelf_id);`);
+  await client.query(`CREATE INDEX IF NOT EXISTS idx_facings_variant ON facings(variant_id);`);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS planogram_versions (
+      version_id SERIAL PRIMARY KEY,
+      fixture_id INTEGER NOT NULL REFERENCES fixtures(fixture_id) ON DELETE CASCADE,
+      version_number INTEGER NOT NULL,
+      layout JSONB NOT NULL,
+      notes TEXT,
+      published_by TEXT,
+      rolled_back_from INTEGER,
+      published_at TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE(fixture_id, version_number)
+    );
+  `);
+
+  // Scope every shop-owned table by shop_id
+  for (const table of SHOP_SCOPED_TABLES) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS shop_id INTEGER REFERENCES shops(shop_id);`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_shop ON ${table}(shop_id);`);
+  }
+
+  // Keys that were unique per install are now unique per shop
+  await client.query('ALTER TABLE sync_checkpoints DROP CONSTRAINT IF EXISTS sync_checkpoints_pkey;');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_checkpoints_shop_type ON sync_checkpoints(shop_id, sync_type);');
+  await client.query('ALTER TABLE distributor_settings DROP CONSTRAINT IF EXISTS distributor_settings_pkey;');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_distributor_settings_shop_name ON distributor_settings(shop_id, distributor_name);');
+  await client.query('ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_code_key;');
+  await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_stores_shop_code ON stores(shop_id, code);');
+
+  // Order lines stored before line_item_id keys get rewritten from Shopify
+  await client.query(`
+    INSERT INTO jobs (job_type, shop_id, created_by)
+    SELECT DISTINCT 'line_item_backfill', oi.shop_id, 'migration:001'
+    FROM order_items oi
+    JOIN shops s ON s.shop_id = oi.shop_id
+    WHERE oi.line_item_id IS NULL AND s.is_active
+      AND NOT EXISTS (
+        SELECT 1 FROM jobs j
+        WHERE j.job_type = 'line_item_backfill' AND j.shop_id = oi.shop_id AND j.status IN ('queued', 'running')
+      )
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+    planogram_versions, facings, shelves, fixtures, stores, correlation_pair_counts,
+    correlation_item_counts, correlation_baskets, webhook_deliveries,
+    sync_checkpoints, product_correlations, stockouts, inventory_snapshots,
+    purchase_order_lines, purchase_orders, distributor_case_packs,
+    distributor_settings, refund_line_items, refunds, order_items, orders,
+    sales_data, inventory_levels, products, schedules, jobs, user_sessions, users,
+    oauth_states, shops
+    CASCADE;
+  `);
+}
@@ -0,0 +1,6 @@
+ALTER TABLE shops
+  DROP COLUMN timezone,
+  DROP COLUMN shopify_timezone,
+  DROP COLUMN week_start,
+  DROP COLUMN calendar,
+  DROP COLUMN fiscal_year_end_month;
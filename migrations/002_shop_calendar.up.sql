@@ -0,0 +1,9 @@
+-- Per-shop calendar for analytics. timezone is set by the merchant and wins
+-- over shopify_timezone (the shop's iana_timezone, saved on install/verify).
+-- fiscal_year_end_month only applies to the 4-4-5 style calendars.
+ALTER TABLE shops
+  ADD COLUMN timezone TEXT,
+  ADD COLUMN shopify_timezone TEXT,
+  ADD COLUMN week_start SMALLINT NOT NULL DEFAULT 1 CHECK (week_start BETWEEN 0 AND 6),
+  ADD COLUMN calendar TEXT NOT NULL DEFAULT 'gregorian' CHECK (calendar IN ('gregorian', '4-4-5', '4-5-4', '5-4-4')),
+  ADD COLUMN fiscal_year_end_month SMALLINT NOT NULL DEFAULT 12 CHECK (fiscal_year_end_month BETWEEN 1 AND 12);
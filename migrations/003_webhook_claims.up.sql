@@ -0,0 +1,4 @@
+-- When a webhook delivery was claimed for processing. A claim older than the
+-- timeout belongs to a request that died mid-handler and can be taken over.
+ALTER TABLE webhook_deliveries
+  ADD COLUMN claimed_at TIMESTAMPTZ;
@@ -0,0 +1,49 @@
+// Schema migrations from the command line:
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up [version] apply pending migrations up to version
+//   npm run migrate -- down [steps] roll back the last N migrations (default 1)
+//   npm run migrate -- status       list applied and pending migrations
+
+import pg from 'pg';
+import { migrate, migrationStatus, rollback } from '../lib/migrations.js';
+
+const pool = new pg.Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false
+  }
+});
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'up') {
+    const to = arg !== undefined ? parseInt(arg) : Infinity;
+    if (Number.isNaN(to)) throw new Error(`Invalid version: ${arg}`);
+
+    const applied = await migrate(pool, { to });
+    console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Schema up to date');
+  } else if (command === 'down') {
+    const steps = arg !== undefined ? parseInt(arg) : 1;
+    if (!(steps > 0)) throw new Error(`Invalid step count: ${arg}`);
+
+    const rolledBack = await rollback(pool, { steps });
+    console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migrations` : '✅ Nothing to roll back');
+  } else if (command === 'status') {
+    const status = await migrationStatus(pool);
+    for (const m of status) {
+      const state = m.missing ? 'applied (file missing)' : m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+      console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${state}`);
+    }
+    console.log(`${status.filter(m => !m.applied).length} pending`);
+  } else {
+    throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -2,6 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import pg from 'pg';
 import crypto from 'crypto';
+import { addDays, buildDailySeries, forecastDemand } from './lib/forecast.js';
+import { decryptSecret, encryptSecret, hasCredentialsKey } from './lib/credentials.js';
+import { ROLES, createSessionToken, findSessionUser, getBearerToken, hasRole, hashPassword, verifyPassword } from './lib/auth.js';
+import { hasCorsOrigins, setCorsHeaders } from './lib/cors.js';
+import { comparisonRange, daysBetween, localDay, periodBounds, periodOf, periodsBetween, resolveRange, startOfDay, validateCalendar } from './lib/calendar.js';
+import { PO_STATUSES, WEEKDAYS, csvCell, getOrderSchedule, statusesMovableTo, validatePurchaseOrderLines } from './lib/purchasing.js';
+import { nextCronRun, parseCron } from './lib/cron.js';
+import { migrate, migrationStatus } from './lib/migrations.js';
+import { ShopifyApiError, createShopifyClient, shopifyFetch, verifyWebhookSignature } from './lib/shopify.js';
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -15,12 +24,9 @@ const pool = new Pool({
   }
 });
 
-// CORS middleware
+// CORS middleware: only origins listed in CORS_ORIGINS
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.header('Access-Control-Max-Age', '86400');
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS, PUT, DELETE');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -29,886 +35,6375 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Keep the raw body around for webhook HMAC verification
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Track order processing status
-let orderProcessingStatus = {
-  isProcessing: false,
-  lastCompleted: null,
-  lastResult: null,
-  progress: { processed: 0, total: 0 }
-};
+// ==========================================================
+// 👤 USERS & AUTH - bearer-token sessions and role checks
+// Roles: viewer (read only), merchandiser (edit planograms and
+// purchasing), admin (syncs, shops and users).
+// ==========================================================
 
-// Initialize database tables
-async function initDatabase() {
-  console.log('🔄 Initializing database...');
-  
-  try {
-    // Create products table
-    console.log('📦 Creating products table...');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS products (
-        variant_id TEXT PRIMARY KEY,
-        product_id BIGINT NOT NULL,
-        title TEXT NOT NULL,
-        variant_title TEXT,
-        barcode TEXT,
-        sku TEXT,
-        price DECIMAL(10,2),
-        compare_at_price DECIMAL(10,2),
-        cost DECIMAL(10,2),
-        inventory_quantity INTEGER,
-        vendor TEXT,
-        tags TEXT,
-        distributor TEXT,
-        created_at TIMESTAMP,
-        updated_at TIMESTAMP
-      );
-    `);
-    console.log('✅ Products table ready');
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
 
-    // Create sales_data table
-    console.log('📊 Creating sales_data table...');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS sales_data (
-        variant_id BIGINT PRIMARY KEY,
-        daily_sales INTEGER DEFAULT 0,
-        weekly_sales INTEGER DEFAULT 0,
-        monthly_sales INTEGER DEFAULT 0,
-        quarterly_sales INTEGER DEFAULT 0,
-        yearly_sales INTEGER DEFAULT 0,
-        all_time_sales INTEGER DEFAULT 0,
-        last_updated TIMESTAMP DEFAULT NOW()
-      );
-    `);
-    console.log('✅ Sales data table ready');
+// Routes reachable without a session; each authenticates some other way
+const PUBLIC_ROUTES = [
+  { method: 'POST', path: /^\/auth\/login$/ },
+  // OAuth callback is HMAC-signed by Shopify; install only redirects to Shopify
+  { method: 'GET', path: /^\/shopify\/(install|callback)$/ },
+  // Webhooks are HMAC-signed by Shopify
+  { method: 'POST', path: /^\/webhooks\/[^/]+\/[^/]+$/ }
+];
 
-    // Create orders table - optimized for Order Blitz
-    console.log('📋 Creating orders table...');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS orders (
-        order_id BIGINT PRIMARY KEY,
-        order_number TEXT,
-        customer_id BIGINT,
-        customer_email_hash TEXT,
-        total_price DECIMAL(10,2),
-        subtotal_price DECIMAL(10,2),
-        total_tax DECIMAL(10,2),
-        order_date TIMESTAMPTZ,
-        financial_status TEXT,
-        fulfillment_status TEXT,
-        is_returning_customer BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW()
-      );
-    `);
-    console.log('✅ Orders table ready');
+function formatUser(u) {
+  return {
+    id: u.user_id,
+    email: u.email,
+    name: u.name,
+    role: u.role,
+    isActive: u.is_active,
+    lastLoginAt: u.last_login_at,
+    createdAt: u.created_at
+  };
+}
 
-    // Create index on order_date for fast queries
-    try {
-      await pool.query(`CREATE INDEX IF NOT EXISTS idx_order_date ON orders(order_date DESC);`);
-      console.log('✅ Order date index created');
-    } catch (err) {
-      console.log('⚠️ Index already exists');
-    }
+// Resolve Authorization: Bearer <token> onto req.user
+async function authenticate(req, res, next) {
+  if (PUBLIC_ROUTES.some(r => r.method === req.method && r.path.test(req.path))) {
+    return next();
+  }
 
-    // Create order_items table
-    console.log('📦 Creating order_items table...');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS order_items (
-        id SERIAL PRIMARY KEY,
-        order_id BIGINT REFERENCES orders(order_id) ON DELETE CASCADE,
-        variant_id TEXT,
-        product_id TEXT,
-        title TEXT,
-        variant_title TEXT,
-        quantity INTEGER,
-        price DECIMAL(10,2),
-        cart_position INTEGER,
-        customer_is_returning BOOLEAN DEFAULT FALSE,
-        UNIQUE(order_id, variant_id, cart_position)
-      );
-    `);
-    console.log('✅ Order items table ready');
+  try {
+    req.user = await findSessionUser(pool, getBearerToken(req));
 
-    // Create product_correlations table
-    console.log('🤝 Creating product_correlations table...');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS product_correlations (
-        id SERIAL PRIMARY KEY,
-        variant_a_id TEXT NOT NULL,
-        variant_b_id TEXT NOT NULL,
-        co_purchase_count INTEGER DEFAULT 1,
-        correlation_score DECIMAL(5,4) DEFAULT 0,
-        last_updated TIMESTAMP DEFAULT NOW(),
-        UNIQUE(variant_a_id, variant_b_id)
-      );
-    `);
-    console.log('✅ Product correlations table ready');
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
 
-    console.log('✅ Database initialization complete!');
+    next();
   } catch (error) {
-    console.error('❌ Database initialization error:', error);
-    throw error;
+    console.error('❌ Authentication error:', error);
+    res.status(500).json({ error: error.message });
   }
 }
 
-// 🔥 ORDER BLITZ - Optimized incremental sync
-app.post('/api/order-blitz', async (req, res) => {
-  const { storeName, accessToken, forceFullSync } = req.body;
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
 
-  if (!storeName || !accessToken) {
-    return res.status(400).json({ error: 'Missing Shopify credentials' });
-  }
+app.use('/api', authenticate);
 
-  // Prevent concurrent processing
-  if (orderProcessingStatus.isProcessing) {
-    return res.json({
-      success: true,
-      processing: true,
-      message: 'Order processing already in progress'
-    });
+app.post('/api/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password are required' });
   }
 
   try {
-    orderProcessingStatus.isProcessing = true;
-    orderProcessingStatus.progress = { processed: 0, total: 0 };
-    console.log('🔥 Order Blitz started');
-    console.log('   Force full sync:', forceFullSync || false);
-
-    // Get the most recent order date from database
-    const lastOrderResult = await pool.query(`
-      SELECT MAX(order_date) as last_order_date 
-      FROM orders
-    `);
-    
-    const lastOrderDate = lastOrderResult.rows[0]?.last_order_date;
-    
-    // Use date filter for incremental sync, or fetch all if force sync
-    let sinceDate = '2023-01-01T00:00:00Z'; // Default to 2 years ago
-    
-    if (!forceFullSync && lastOrderDate) {
-      // Subtract 5 minutes from last order to create overlap and prevent gaps
-      const bufferDate = new Date(lastOrderDate);
-      bufferDate.setMinutes(bufferDate.getMinutes() - 5);
-      sinceDate = bufferDate.toISOString();
-      console.log(`📅 Incremental sync - fetching orders since: ${sinceDate} (5min buffer)`);
-    } else {
-      console.log(`📅 Full sync - fetching all orders since: ${sinceDate}`);
-    }
-
-    // Fetch orders from Shopify
-    const shopifyUrl = `https://${storeName}/admin/api/2024-10/orders.json?status=any&created_at_min=${sinceDate}&limit=250`;
-    
-    console.log('🌐 Shopify URL:', shopifyUrl.replace(accessToken, 'TOKEN_HIDDEN'));
-    
-    const shopifyResponse = await fetch(shopifyUrl, {
-      headers: {
-        'X-Shopify-Access-Token': accessToken,
-        'Content-Type': 'application/json'
-      }
-    });
+    const result = await pool.query('SELECT * FROM users WHERE email = $1 AND is_active', [String(email).trim().toLowerCase()]);
+    const user = result.rows[0];
 
-    console.log('📡 Shopify response status:', shopifyResponse.status);
-
-    if (!shopifyResponse.ok) {
-      const errorText = await shopifyResponse.text();
-      console.error('❌ Shopify API error:', errorText);
-      throw new Error(`Shopify API error: ${shopifyResponse.status} - ${errorText}`);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const shopifyData = await shopifyResponse.json();
-    const orders = shopifyData.orders || [];
-    
-    console.log(`📦 Fetched ${orders.length} orders from Shopify`);
-    
-    if (orders.length > 0) {
-      console.log('   Sample order:', {
-        id: orders[0].id,
-        number: orders[0].order_number,
-        date: orders[0].created_at,
-        total: orders[0].total_price
-      });
-    }
-    
-    orderProcessingStatus.progress.total = orders.length;
-
-    if (orders.length === 0) {
-      orderProcessingStatus.isProcessing = false;
-      orderProcessingStatus.lastCompleted = new Date().toISOString();
-      orderProcessingStatus.lastResult = {
-        ordersProcessed: 0,
-        itemsProcessed: 0,
-        message: 'No new orders to process'
-      };
-      
-      return res.json({
-        success: true,
-        ordersProcessed: 0,
-        itemsProcessed: 0,
-        message: 'All orders up to date!'
-      });
-    }
+    const { token, tokenHash } = createSessionToken();
+    const session = await pool.query(`
+      INSERT INTO user_sessions (token_hash, user_id, expires_at)
+      VALUES ($1, $2, NOW() + make_interval(hours => $3))
+      RETURNING expires_at
+    `, [tokenHash, user.user_id, SESSION_TTL_HOURS]);
 
-    // Process orders in batches to avoid memory issues
-    const BATCH_SIZE = 50;
-    let totalOrdersInserted = 0;
-    let totalItemsInserted = 0;
+    await pool.query('UPDATE users SET last_login_at = NOW() WHERE user_id = $1', [user.user_id]);
+    await pool.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
 
-    for (let i = 0; i < orders.length; i += BATCH_SIZE) {
-      const batch = orders.slice(i, i + BATCH_SIZE);
-      console.log(`📦 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(orders.length / BATCH_SIZE)}`);
-      
-      for (const order of batch) {
-        try {
-          // Hash email for privacy
-          const emailHash = order.customer?.email 
-            ? crypto.createHash('sha256').update(order.customer.email).digest('hex')
-            : null;
-
-          // Insert/update order
-          await pool.query(`
-            INSERT INTO orders (
-              order_id, order_number, customer_id, customer_email_hash,
-              total_price, subtotal_price, total_tax, order_date, 
-              financial_status, fulfillment_status, is_returning_customer
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-            ON CONFLICT (order_id) DO UPDATE SET
-              total_price = EXCLUDED.total_price,
-              financial_status = EXCLUDED.financial_status,
-              fulfillment_status = EXCLUDED.fulfillment_status,
-              updated_at = NOW()
-          `, [
-            order.id,
-            order.order_number,
-            order.customer?.id || null,
-            emailHash,
-            parseFloat(order.total_price || 0),
-            parseFloat(order.subtotal_price || 0),
-            parseFloat(order.total_tax || 0),
-            order.created_at,
-            order.financial_status || 'pending',
-            order.fulfillment_status || null,
-            false // Will be updated later based on customer history
-          ]);
-          totalOrdersInserted++;
-
-          // Insert line items
-          if (order.line_items && order.line_items.length > 0) {
-            console.log(`📦 Processing ${order.line_items.length} line items for order ${order.id}`);
-            
-            for (let position = 0; position < order.line_items.length; position++) {
-              const item = order.line_items[position];
-              
-              try {
-                // Generate unique variant_id for custom sale items (no variant_id from Shopify)
-                let variantId = item.variant_id?.toString() || null;
-                
-                // Check if this is a custom sale item
-                const isCustomItem = !variantId || item.sku === null || item.sku === '';
-                
-                if (isCustomItem) {
-                  // Custom sale items get a generated ID: custom_{order_id}_{position}
-                  variantId = `custom_${order.id}_${position}`;
-                  console.log(`   🎨 Custom item detected at position ${position}: "${item.title || 'Unknown'}" → Generated ID: ${variantId}`);
-                }
-                
-                await pool.query(`
-                  INSERT INTO order_items (
-                    order_id, variant_id, product_id, title, variant_title,
-                    quantity, price, cart_position
-                  ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                  ON CONFLICT (order_id, variant_id) DO UPDATE SET
-                    quantity = EXCLUDED.quantity,
-                    price = EXCLUDED.price,
-                    cart_position = EXCLUDED.cart_position
-                `, [
-                  order.id,
-                  variantId,
-                  item.product_id?.toString() || null,
-                  item.title || 'Custom Item',
-                  item.variant_title || null,
-                  item.quantity || 1,
-                  parseFloat(item.price || 0),
-                  position
-                ]);
-                
-                totalItemsInserted++;
-              } catch (itemErr) {
-                console.error(`   ❌ Failed to insert item at position ${position}:`, itemErr.message);
-                console.error(`   Item data:`, JSON.stringify(item, null, 2));
-              }
-            }
-          }
-
-          orderProcessingStatus.progress.processed++;
-        } catch (err) {
-          console.error(`❌ Error processing order ${order.id}:`, err.message);
-        }
-      }
+    console.log(`👤 ${user.email} logged in`);
+    res.json({ token, expiresAt: session.rows[0].expires_at, user: formatUser(user) });
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Small delay between batches
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await pool.query('DELETE FROM user_sessions WHERE token_hash = $1', [req.user.token_hash]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`✅ Order Blitz complete: ${totalOrdersInserted} orders, ${totalItemsInserted} items`);
+app.get('/api/auth/me', (req, res) => {
+  const { user_id: id, email, name, role, expires_at: sessionExpiresAt } = req.user;
+  res.json({ user: { id, email, name, role }, sessionExpiresAt });
+});
 
-    // Mark returning customers
-    console.log('🔄 Marking returning customers...');
-    await pool.query(`
-      UPDATE orders o
-      SET is_returning_customer = TRUE
-      WHERE customer_id IN (
-        SELECT customer_id
-        FROM orders
-        WHERE customer_id IS NOT NULL
-        GROUP BY customer_id
-        HAVING COUNT(*) > 1
-      )
-      AND customer_id IS NOT NULL
-    `);
+// Change your own password; signs out your other sessions
+app.put('/api/auth/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
 
-    // Calculate product correlations in background (don't wait for it)
-    calculateCorrelations().catch(err => console.error('Correlation error:', err));
+  if (!currentPassword || !newPassword || String(newPassword).length < 8) {
+    return res.status(400).json({ error: 'currentPassword and newPassword (at least 8 characters) are required' });
+  }
 
-    orderProcessingStatus.isProcessing = false;
-    orderProcessingStatus.lastCompleted = new Date().toISOString();
-    orderProcessingStatus.lastResult = {
-      ordersProcessed: totalOrdersInserted,
-      itemsProcessed: totalItemsInserted
-    };
+  try {
+    const result = await pool.query('SELECT password_hash FROM users WHERE user_id = $1', [req.user.user_id]);
+    if (!(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
 
-    res.json({
-      success: true,
-      ordersProcessed: totalOrdersInserted,
-      itemsProcessed: totalItemsInserted,
-      message: `Order Blitz complete! Processed ${totalOrdersInserted} orders`
-    });
+    await pool.query('UPDATE users SET password_hash = $2 WHERE user_id = $1', [req.user.user_id, await hashPassword(newPassword)]);
+    await pool.query('DELETE FROM user_sessions WHERE user_id = $1 AND token_hash <> $2', [req.user.user_id, req.user.token_hash]);
 
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Order Blitz error:', error);
-    orderProcessingStatus.isProcessing = false;
+    console.error('❌ Change password error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get order processing status
-app.get('/api/orders/status', async (req, res) => {
-  res.json(orderProcessingStatus);
-});
-
-// Get order analytics from database
-app.get('/api/order-analytics', async (req, res) => {
+app.get('/api/users', requireRole('admin'), async (req, res) => {
   try {
-    console.log('📊 Fetching order analytics with timezone awareness...');
-    
-    // Get aggregated stats with PROPER TIMEZONE HANDLING for Denver (Mountain Time)
-    const statsResult = await pool.query(`
-      SELECT 
-        COUNT(*) as total_orders,
-        SUM(total_price) as total_revenue,
-        COUNT(DISTINCT customer_id) as unique_customers,
-        
-        -- Today: Compare dates in Mountain Time
-        SUM(CASE 
-          WHEN DATE(order_date AT TIME ZONE 'America/Denver') = DATE(NOW() AT TIME ZONE 'America/Denver') 
-          THEN total_price ELSE 0 
-        END) as sales_today,
-        COUNT(CASE 
-          WHEN DATE(order_date AT TIME ZONE 'America/Denver') = DATE(NOW() AT TIME ZONE 'America/Denver') 
-          THEN 1 
-        END) as orders_today,
-        
-        -- This Week: Last 7 days in Mountain Time
-        SUM(CASE 
-          WHEN order_date AT TIME ZONE 'America/Denver' >= (NOW() AT TIME ZONE 'America/Denver' - INTERVAL '6 days')
-          THEN total_price ELSE 0 
-        END) as sales_week,
-        COUNT(CASE 
-          WHEN order_date AT TIME ZONE 'America/Denver' >= (NOW() AT TIME ZONE 'America/Denver' - INTERVAL '6 days')
-          THEN 1 
-        END) as orders_week,
-        
-        -- This Month: Current month in Mountain Time
-        SUM(CASE 
-          WHEN DATE_TRUNC('month', order_date AT TIME ZONE 'America/Denver') = DATE_TRUNC('month', NOW() AT TIME ZONE 'America/Denver')
-          THEN total_price ELSE 0 
-        END) as sales_month,
-        COUNT(CASE 
-          WHEN DATE_TRUNC('month', order_date AT TIME ZONE 'America/Denver') = DATE_TRUNC('month', NOW() AT TIME ZONE 'America/Denver')
-          THEN 1 
-        END) as orders_month,
-        
-        -- This Year: Current year in Mountain Time
-        SUM(CASE 
-          WHEN DATE_TRUNC('year', order_date AT TIME ZONE 'America/Denver') = DATE_TRUNC('year', NOW() AT TIME ZONE 'America/Denver')
-          THEN total_price ELSE 0 
-        END) as sales_year,
-        COUNT(CASE 
-          WHEN DATE_TRUNC('year', order_date AT TIME ZONE 'America/Denver') = DATE_TRUNC('year', NOW() AT TIME ZONE 'America/Denver')
-          THEN 1 
-        END) as orders_year
-        
-      FROM orders
-      WHERE order_date IS NOT NULL
-    `);
-
-    // Get ALL order dates for time-based analysis (lightweight)
-    const allOrderDatesResult = await pool.query(`
-      SELECT order_date
-      FROM orders
-      WHERE order_date IS NOT NULL
-      ORDER BY order_date DESC
-    `);
+    const result = await pool.query('SELECT * FROM users ORDER BY user_id');
+    res.json({ users: result.rows.map(formatUser), roles: ROLES });
+  } catch (error) {
+    console.error('❌ List users error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Get recent orders with full details and line items (limited to 50 for display)
-    const ordersResult = await pool.query(`
-      SELECT 
-        o.order_id,
-        o.order_number,
-        o.total_price,
-        o.order_date,
-        o.customer_id,
-        o.financial_status,
-        o.fulfillment_status,
-        COALESCE(
-          json_agg(
-            json_build_object(
-              'variant_id', oi.variant_id,
-              'product_id', oi.product_id,
-              'title', oi.title,
-              'variant_title', oi.variant_title,
-              'quantity', oi.quantity,
-              'price', oi.price
-            ) ORDER BY oi.cart_position
-          ) FILTER (WHERE oi.id IS NOT NULL),
-          '[]'
-        ) as line_items
-      FROM orders o
-      LEFT JOIN order_items oi ON o.order_id = oi.order_id
-      WHERE o.order_date IS NOT NULL
-      GROUP BY o.order_id, o.order_number, o.total_price, o.order_date, o.customer_id, o.financial_status, o.fulfillment_status
-      ORDER BY o.order_date DESC
-      LIMIT 50
-    `);
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+  const { email, password, name, role = 'viewer' } = req.body || {};
 
-    const stats = statsResult.rows[0];
-    
-    console.log('📊 Analytics calculated (Mountain Time):');
-    console.log('   Today:', parseFloat(stats.sales_today || 0), `(${stats.orders_today} orders)`);
-    console.log('   Week:', parseFloat(stats.sales_week || 0), `(${stats.orders_week} orders)`);
-    console.log('   Month:', parseFloat(stats.sales_month || 0), `(${stats.orders_month} orders)`);
+  if (!email || !password || String(password).length < 8) {
+    return res.status(400).json({ error: 'email and password (at least 8 characters) are required' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
 
-    // Format orders for frontend
-    const formattedOrders = ordersResult.rows.map(order => ({
-      id: order.order_id,
-      order_number: order.order_number,
-      created_at: order.order_date,
-      total_price: order.total_price,
-      customer: order.customer_id ? { id: order.customer_id } : null,
-      line_items: order.line_items,
-      financial_status: order.financial_status || 'paid',
-      fulfillment_status: order.fulfillment_status
-    }));
+  try {
+    const result = await pool.query(`
+      INSERT INTO users (email, name, role, password_hash)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (email) DO NOTHING
+      RETURNING *
+    `, [String(email).trim().toLowerCase(), name || null, role, await hashPassword(password)]);
 
-    res.json({
-      totalOrders: parseInt(stats.total_orders),
-      totalRevenue: parseFloat(stats.total_revenue || 0),
-      uniqueCustomers: parseInt(stats.unique_customers),
-      salesByPeriod: {
-        today: parseFloat(stats.sales_today || 0),
-        week: parseFloat(stats.sales_week || 0),
-        month: parseFloat(stats.sales_month || 0),
-        year: parseFloat(stats.sales_year || 0)
-      },
-      ordersByPeriod: {
-        today: parseInt(stats.orders_today),
-        week: parseInt(stats.orders_week),
-        month: parseInt(stats.orders_month),
-        year: parseInt(stats.orders_year)
-      },
-      recentOrders: formattedOrders,
-      // All order dates for "When Do People Buy?" analysis (lightweight)
-      allOrderDates: allOrderDatesResult.rows.map(row => row.order_date)
-    });
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'A user with that email already exists' });
+    }
 
+    console.log(`👤 Created ${role} ${result.rows[0].email}`);
+    res.status(201).json({ user: formatUser(result.rows[0]) });
   } catch (error) {
-    console.error('❌ Order analytics error:', error);
+    console.error('❌ Create user error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Calculate product correlations
-async function calculateCorrelations() {
-  console.log('🤝 Calculating product correlations...');
-  
-  try {
-    // Clear old correlations
-    await pool.query('DELETE FROM product_correlations');
+// Update name, role, active flag or password. Role, deactivation and
+// password changes sign the user out everywhere.
+app.put('/api/users/:userId', requireRole('admin'), async (req, res) => {
+  const { name, role, isActive, password } = req.body || {};
 
-    // Find products bought together
+  if (role != null && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (password != null && String(password).length < 8) {
+    return res.status(400).json({ error: 'password must be at least 8 characters' });
+  }
+  if (String(req.params.userId) === String(req.user.user_id) && ((role && role !== 'admin') || isActive === false)) {
+    return res.status(400).json({ error: 'You cannot demote or deactivate yourself' });
+  }
+
+  try {
     const result = await pool.query(`
-      SELECT 
-        oi1.variant_id as variant_a_id,
-        oi2.variant_id as variant_b_id,
-        COUNT(*) as co_purchase_count
-      FROM order_items oi1
-      JOIN order_items oi2 ON oi1.order_id = oi2.order_id
-      WHERE oi1.variant_id < oi2.variant_id
-        AND oi1.variant_id IS NOT NULL
-        AND oi2.variant_id IS NOT NULL
-      GROUP BY oi1.variant_id, oi2.variant_id
-      HAVING COUNT(*) >= 2
-    `);
-
-    console.log(`📊 Found ${result.rows.length} product correlations`);
-
-    // Insert correlations
-    for (const row of result.rows) {
-      await pool.query(`
-        INSERT INTO product_correlations (variant_a_id, variant_b_id, co_purchase_count)
-        VALUES ($1, $2, $3)
-        ON CONFLICT (variant_a_id, variant_b_id) 
-        DO UPDATE SET 
-          co_purchase_count = EXCLUDED.co_purchase_count,
-          last_updated = NOW()
-      `, [row.variant_a_id, row.variant_b_id, row.co_purchase_count]);
+      UPDATE users SET
+        name = COALESCE($2, name),
+        role = COALESCE($3, role),
+        is_active = COALESCE($4, is_active),
+        password_hash = COALESCE($5, password_hash)
+      WHERE user_id = $1
+      RETURNING *
+    `, [req.params.userId, name ?? null, role ?? null, isActive ?? null, password != null ? await hashPassword(password) : null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role != null || isActive === false || password != null) {
+      await pool.query('DELETE FROM user_sessions WHERE user_id = $1', [req.params.userId]);
     }
 
-    console.log('✅ Correlations calculated');
+    res.json({ user: formatUser(result.rows[0]) });
   } catch (error) {
-    console.error('❌ Correlation calculation error:', error);
+    console.error('❌ Update user error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// First admin comes from ADMIN_EMAIL / ADMIN_PASSWORD while no users exist
+async function bootstrapAdminUser() {
+  const existing = await pool.query('SELECT COUNT(*) as count FROM users');
+  if (parseInt(existing.rows[0].count) > 0) return;
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.log('⚠️ No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return;
   }
+
+  await pool.query(
+    "INSERT INTO users (email, name, role, password_hash) VALUES ($1, 'Admin', 'admin', $2)",
+    [ADMIN_EMAIL.trim().toLowerCase(), await hashPassword(ADMIN_PASSWORD)]
+  );
+  console.log(`👤 Created admin user ${ADMIN_EMAIL}`);
 }
 
-// Get product correlations (SQL ONLY - no API calls)
-app.get('/api/correlations', async (req, res) => {
-  try {
-    console.log('🤝 Fetching correlations from database...');
-    
-    // First try to get correlations with full product details from products table
-    let result = await pool.query(`
-      SELECT 
-        pa.title as product_a_name,
-        pa.variant_title as product_a_variant,
-        pa.barcode as product_a_upc,
-        pa.price as product_a_price,
-        pb.title as product_b_name,
-        pb.variant_title as product_b_variant,
-        pb.barcode as product_b_upc,
-        pb.price as product_b_price,
-        pc.co_purchase_count,
-        pc.correlation_score
-      FROM product_correlations pc
-      LEFT JOIN products pa ON pa.variant_id = pc.variant_a_id
-      LEFT JOIN products pb ON pb.variant_id = pc.variant_b_id
-      WHERE pa.variant_id IS NOT NULL 
-        AND pb.variant_id IS NOT NULL
-      ORDER BY pc.co_purchase_count DESC
-      LIMIT 100
-    `);
+// ==========================================================
+// 🏬 SHOPS - registry of Shopify storefronts and request scoping
+// Credentials live here, encrypted, instead of in request bodies.
+// Every shop-owned table carries shop_id.
+// ==========================================================
 
-    // If no results, fall back to using order_items directly
-    if (result.rows.length === 0) {
-      console.log('⚠️ No correlations found with products table, using order_items...');
-      
-      result = await pool.query(`
-        SELECT 
-          oia.title as product_a_name,
-          oia.variant_title as product_a_variant,
-          oia.variant_id as product_a_variant_id,
-          oia.price as product_a_price,
-          oib.title as product_b_name,
-          oib.variant_title as product_b_variant,
-          oib.variant_id as product_b_variant_id,
-          oib.price as product_b_price,
-          pc.co_purchase_count,
-          pc.correlation_score
-        FROM product_correlations pc
-        LEFT JOIN LATERAL (
-          SELECT DISTINCT ON (variant_id) variant_id, title, variant_title, price
-          FROM order_items
-          WHERE variant_id = pc.variant_a_id
-          ORDER BY variant_id, id DESC
-        ) oia ON true
-        LEFT JOIN LATERAL (
-          SELECT DISTINCT ON (variant_id) variant_id, title, variant_title, price
-          FROM order_items
-          WHERE variant_id = pc.variant_b_id
-          ORDER BY variant_id, id DESC
-        ) oib ON true
-        WHERE oia.variant_id IS NOT NULL 
-          AND oib.variant_id IS NOT NULL
-        ORDER BY pc.co_purchase_count DESC
-        LIMIT 100
-      `);
-    }
+// 'mystore' or 'https://mystore.myshopify.com/' -> 'mystore.myshopify.com'
+function normalizeShopDomain(value) {
+  const domain = String(value).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  return domain.includes('.') ? domain : `${domain}.myshopify.com`;
+}
 
-    console.log(`✅ Found ${result.rows.length} product correlations`);
+// Scopes the app needs; a write_ scope also grants the matching read_
+const REQUIRED_SHOPIFY_SCOPES = (process.env.SHOPIFY_SCOPES || 'read_orders,read_products,read_inventory')
+  .split(',').map(scope => scope.trim()).filter(Boolean);
 
-    const correlations = result.rows.map(r => ({
-      productA: {
-        name: r.product_a_variant 
-          ? `${r.product_a_name} - ${r.product_a_variant}` 
-          : (r.product_a_name || `Product ${r.product_a_variant_id || 'Unknown'}`),
-        upc: r.product_a_upc || null,
-        price: parseFloat(r.product_a_price || 0)
-      },
-      productB: {
-        name: r.product_b_variant 
-          ? `${r.product_b_name} - ${r.product_b_variant}` 
-          : (r.product_b_name || `Product ${r.product_b_variant_id || 'Unknown'}`),
-        upc: r.product_b_upc || null,
-        price: parseFloat(r.product_b_price || 0)
-      },
-      timesBoughtTogether: parseInt(r.co_purchase_count),
-      correlationScore: parseFloat(r.correlation_score || 0)
-    }));
+function getMissingScopes(granted) {
+  const grantedSet = new Set(String(granted || '').split(',').map(scope => scope.trim()));
+  return REQUIRED_SHOPIFY_SCOPES.filter(scope =>
+    !grantedSet.has(scope) && !grantedSet.has(scope.replace(/^read_/, 'write_'))
+  );
+}
 
-    console.log(`📦 Returning ${correlations.length} correlations to frontend`);
+function formatShop(s) {
+  return {
+    id: s.shop_id,
+    domain: s.shop_domain,
+    name: s.name,
+    isActive: s.is_active,
+    hasAccessToken: Boolean(s.access_token_encrypted),
+    scopes: s.scopes ? s.scopes.split(',') : [],
+    missingScopes: s.scopes != null ? getMissingScopes(s.scopes) : null,
+    installedAt: s.installed_at,
+    timezone: s.timezone,
+    shopifyTimezone: s.shopify_timezone,
+    weekStart: s.week_start,
+    calendar: s.calendar,
+    fiscalYearEndMonth: s.fiscal_year_end_month,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at
+  };
+}
 
-    res.json({ correlations });
-  } catch (error) {
-    console.error('❌ Correlations error:', error);
-    res.status(500).json({ error: error.message });
+// Decrypt a shop's stored token; only ever used for outgoing Shopify calls
+function getShopAccessToken(shop) {
+  if (!shop.access_token_encrypted) {
+    throw new Error(`No access token stored for ${shop.shop_domain}`);
   }
-});
+  return decryptSecret(shop.access_token_encrypted);
+}
 
-// Get all products from database
-app.get('/api/products/all', async (req, res) => {
+// Shop's IANA timezone as configured in Shopify (null if it can't be read)
+async function fetchShopifyTimezone(shopify) {
   try {
-    console.log('📦 Fetching all products...');
-    
-    // Get products
-    const productsResult = await pool.query(`SELECT * FROM products LIMIT 5000`);
-    console.log(`✅ Found ${productsResult.rows.length} products`);
-    
-    // Get simple sales counts (no dates for now)
-    let salesData = {};
-    try {
-      const salesResult = await pool.query(`
-        SELECT 
-          variant_id,
-          SUM(quantity) as total_sales
-        FROM order_items
-        WHERE variant_id IS NOT NULL
-        GROUP BY variant_id
-      `);
-      
-      salesResult.rows.forEach(row => {
-        salesData[row.variant_id] = {
-          allTimeSales: parseInt(row.total_sales || 0)
-        };
-      });
-      
-      console.log(`📊 Got sales for ${Object.keys(salesData).length} variants`);
-    } catch (salesErr) {
-      console.error('⚠️ Sales query failed:', salesErr.message);
-    }
+    const { data } = await shopify.get('/shop.json');
+    return data.shop?.iana_timezone || null;
+  } catch (error) {
+    console.log(`⚠️ Could not read timezone for ${shopify.shopDomain}: ${error.message}`);
+    return null;
+  }
+}
+
+// Encrypt and store a shop's token. The first shop registered also takes
+// over data synced before shops existed; new shops get default schedules.
+async function saveShopCredentials(domain, { accessToken, scopes, name }) {
+  const existing = await pool.query('SELECT COUNT(*) as count FROM shops');
+  const shopifyTimezone = await fetchShopifyTimezone(createShopifyClient(domain, accessToken));
+
+  const result = await pool.query(`
+    INSERT INTO shops (shop_domain, name, access_token_encrypted, scopes, shopify_timezone, installed_at)
+    VALUES ($1, $2, $3, $4, $5, NOW())
+    ON CONFLICT (shop_domain) DO UPDATE SET
+      name = COALESCE(EXCLUDED.name, shops.name),
+      access_token_encrypted = EXCLUDED.access_token_encrypted,
+      scopes = EXCLUDED.scopes,
+      shopify_timezone = COALESCE(EXCLUDED.shopify_timezone, shops.shopify_timezone),
+      installed_at = NOW(),
+      is_active = TRUE,
+      updated_at = NOW()
+    RETURNING *, (xmax = 0) as inserted
+  `, [domain, name || null, encryptSecret(accessToken), scopes, shopifyTimezone]);
+
+  const shop = result.rows[0];
+
+  if (shop.inserted) {
+    await createDefaultSchedules(shop.shop_id);
+  }
+
+  if (parseInt(existing.rows[0].count) === 0) {
+    for (const table of SHOP_SCOPED_TABLES) {
+      await pool.query(`UPDATE ${table} SET shop_id = $1 WHERE shop_id IS NULL`, [shop.shop_id]);
+    }
+    console.log(`📦 Assigned existing data to ${domain}`);
+  }
+
+  return shop;
+}
+
+// Shopify client for a registered shop, using its stored token
+function getShopifyClient(shop) {
+  return createShopifyClient(shop.shop_domain, getShopAccessToken(shop));
+}
+
+// Scopes actually granted to a token, as a comma-separated string
+async function fetchGrantedScopes(domain, accessToken) {
+  try {
+    const { data } = await createShopifyClient(domain, accessToken).get('/admin/oauth/access_scopes.json');
+    return (data.access_scopes || []).map(s => s.handle).join(',');
+  } catch (error) {
+    if (error instanceof ShopifyApiError) {
+      throw new Error(`Shopify rejected the credentials (${error.status})`);
+    }
+    throw error;
+  }
+}
+
+// ---------- Shopify OAuth install ----------
+// Registered ahead of attachShop: ?shop= here names a shop that may not exist yet.
+// Needs SHOPIFY_API_KEY, SHOPIFY_API_SECRET and APP_URL (public base URL).
+
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+function isValidShopDomain(domain) {
+  return /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(domain);
+}
+
+// Shopify signs the callback query: every param except hmac, sorted, joined with &
+function verifyOAuthCallback(query) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!secret || typeof query.hmac !== 'string') return false;
+
+  const message = Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('&');
+
+  const digest = crypto.createHmac('sha256', secret).update(message).digest();
+  const provided = Buffer.from(query.hmac, 'hex');
+
+  return provided.length === digest.length && crypto.timingSafeEqual(provided, digest);
+}
+
+function getOAuthRedirectUri(req) {
+  const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}/api/shopify/callback`;
+}
+
+// Start an install: redirect the merchant to Shopify's consent screen
+app.get('/api/shopify/install', async (req, res) => {
+  if (!process.env.SHOPIFY_API_KEY || !process.env.SHOPIFY_API_SECRET) {
+    return res.status(500).json({ error: 'SHOPIFY_API_KEY and SHOPIFY_API_SECRET must be set' });
+  }
+
+  const domain = req.query.shop ? normalizeShopDomain(req.query.shop) : null;
+  if (!domain || !isValidShopDomain(domain)) {
+    return res.status(400).json({ error: 'shop must be a *.myshopify.com domain' });
+  }
+
+  try {
+    const state = crypto.randomBytes(16).toString('hex');
+
+    await pool.query(
+      'DELETE FROM oauth_states WHERE created_at < NOW() - make_interval(mins => $1)',
+      [OAUTH_STATE_TTL_MINUTES]
+    );
+    await pool.query('INSERT INTO oauth_states (state, shop_domain) VALUES ($1, $2)', [state, domain]);
+
+    const params = new URLSearchParams({
+      client_id: process.env.SHOPIFY_API_KEY,
+      scope: REQUIRED_SHOPIFY_SCOPES.join(','),
+      redirect_uri: getOAuthRedirectUri(req),
+      state
+    });
+
+    console.log(`🔐 Starting OAuth install for ${domain}`);
+    res.redirect(`https://${domain}/admin/oauth/authorize?${params}`);
+  } catch (error) {
+    console.error('❌ OAuth install error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Shopify redirects back here with a code to exchange for a permanent token
+app.get('/api/shopify/callback', async (req, res) => {
+  const { code, state } = req.query;
+  const domain = req.query.shop ? normalizeShopDomain(req.query.shop) : null;
+
+  if (!domain || !isValidShopDomain(domain) || !code || !state) {
+    return res.status(400).json({ error: 'Missing or invalid shop, code or state' });
+  }
+
+  if (!verifyOAuthCallback(req.query)) {
+    console.error(`❌ OAuth callback for ${domain}: invalid HMAC`);
+    return res.status(401).json({ error: 'Invalid OAuth signature' });
+  }
+
+  try {
+    // State is single-use and must match the shop that started the install
+    const stateResult = await pool.query(`
+      DELETE FROM oauth_states
+      WHERE state = $1 AND shop_domain = $2 AND created_at >= NOW() - make_interval(mins => $3)
+      RETURNING state
+    `, [state, domain, OAUTH_STATE_TTL_MINUTES]);
+
+    if (stateResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid or expired OAuth state' });
+    }
+
+    // The code is single-use, so a retry after a lost response would only fail
+    const tokenResponse = await shopifyFetch(domain, `https://${domain}/admin/oauth/access_token`, {
+      method: 'POST',
+      retry: false,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client_id: process.env.SHOPIFY_API_KEY,
+        client_secret: process.env.SHOPIFY_API_SECRET,
+        code
+      })
+    }).catch(error => {
+      throw new Error(`Token exchange failed: ${error.status || error.message}`);
+    });
+
+    const { access_token: accessToken, scope } = await tokenResponse.json();
+
+    const missing = getMissingScopes(scope);
+    if (missing.length > 0) {
+      console.error(`❌ OAuth install for ${domain} is missing scopes: ${missing.join(', ')}`);
+      return res.status(403).json({ error: 'Required scopes were not granted', missingScopes: missing });
+    }
+
+    const shop = await saveShopCredentials(domain, { accessToken, scopes: scope });
+    console.log(`🏬 Installed shop ${shop.shop_id}: ${domain}`);
+
+    if (process.env.SHOPIFY_INSTALL_REDIRECT) {
+      return res.redirect(`${process.env.SHOPIFY_INSTALL_REDIRECT}?shop=${encodeURIComponent(domain)}`);
+    }
+    res.json({ success: true, shop: formatShop(shop) });
+  } catch (error) {
+    console.error('❌ OAuth callback error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolve the requested shop (X-Shopify-Shop-Domain header, ?shop=, or a
+// `shop`/`storeName` body field; id or domain) onto req.shop. With one active
+// shop it's the default. With several and none requested, req.shop is null
+// and read endpoints aggregate across shops.
+async function attachShop(req, res, next) {
+  const requested = req.get('X-Shopify-Shop-Domain') || req.query.shop || req.body?.shop || req.body?.storeName;
+
+  try {
+    if (requested) {
+      const result = await pool.query(`
+        SELECT * FROM shops
+        WHERE is_active AND (shop_domain = $1 OR shop_id = $2)
+        ORDER BY shop_id
+        LIMIT 1
+      `, [normalizeShopDomain(requested), /^\d{1,9}$/.test(String(requested)) ? parseInt(requested) : null]);
+      req.shop = result.rows[0] || null;
+
+      // Webhook deliveries check their signature before anything about the
+      // shop is revealed; the webhook route rejects unknown shops itself
+      const isWebhookDelivery = req.method === 'POST' && /^\/webhooks\/[^/]+\/[^/]+$/.test(req.path);
+
+      if (!req.shop && !isWebhookDelivery) {
+        return res.status(404).json({ error: `Unknown shop: ${requested} (register it at POST /api/shops)` });
+      }
+    } else {
+      // Only need to know whether exactly one shop is active
+      const result = await pool.query('SELECT * FROM shops WHERE is_active ORDER BY shop_id LIMIT 2');
+      req.shop = result.rows.length === 1 ? result.rows[0] : null;
+    }
+
+    next();
+  } catch (error) {
+    console.error('❌ Shop lookup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// For routes that write shop data or call Shopify
+function requireShop(req, res, next) {
+  if (!req.shop) {
+    return res.status(400).json({ error: 'shop is required (register shops at POST /api/shops)' });
+  }
+  next();
+}
+
+// Tables holding per-shop data. Child tables (fixtures, shelves, facings,
+// planogram_versions, purchase_order_lines) are scoped through their parent.
+const SHOP_SCOPED_TABLES = [
+  'products', 'inventory_levels', 'sales_data', 'orders', 'order_items',
+  'refunds', 'refund_line_items', 'distributor_settings', 'distributor_case_packs',
+  'purchase_orders', 'inventory_snapshots', 'stockouts', 'product_correlations',
+  'sync_checkpoints', 'webhook_deliveries', 'correlation_baskets',
+  'correlation_item_counts', 'correlation_pair_counts', 'stores'
+];
+
+// Shop filter for read queries: null means all shops
+const shopScope = req => req.shop?.shop_id ?? null;
+
+app.use('/api', attachShop);
+
+app.get('/api/shops', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shops ORDER BY shop_id');
+    res.json({ shops: result.rows.map(formatShop) });
+  } catch (error) {
+    console.error('❌ List shops error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a shop with a custom-app token (OAuth installs don't need this).
+// The token is checked against Shopify and stored encrypted.
+app.post('/api/shops', requireRole('admin'), async (req, res) => {
+  const { shopDomain, accessToken, name } = req.body;
+
+  if (!shopDomain || !accessToken) {
+    return res.status(400).json({ error: 'shopDomain and accessToken are required' });
+  }
+
+  const domain = normalizeShopDomain(shopDomain);
+
+  try {
+    let scopes;
+    try {
+      scopes = await fetchGrantedScopes(domain, accessToken);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const missing = getMissingScopes(scopes);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: 'Token is missing required scopes', missingScopes: missing });
+    }
+
+    const shop = await saveShopCredentials(domain, { accessToken, scopes, name });
+
+    console.log(`🏬 Registered shop ${shop.shop_id}: ${domain}`);
+    res.status(201).json({ shop: formatShop(shop) });
+  } catch (error) {
+    console.error('❌ Register shop error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-check a shop's granted scopes and timezone against Shopify
+app.post('/api/shops/:shopId/verify', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shops WHERE shop_id = $1', [req.params.shopId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = result.rows[0];
+    const scopes = await fetchGrantedScopes(shop.shop_domain, getShopAccessToken(shop));
+    const shopifyTimezone = await fetchShopifyTimezone(getShopifyClient(shop));
+    const updated = await pool.query(`
+      UPDATE shops SET scopes = $2, shopify_timezone = COALESCE($3, shopify_timezone), updated_at = NOW()
+      WHERE shop_id = $1
+      RETURNING *
+    `, [shop.shop_id, scopes, shopifyTimezone]);
+
+    res.json({ shop: formatShop(updated.rows[0]), valid: getMissingScopes(scopes).length === 0 });
+  } catch (error) {
+    console.error('❌ Verify shop error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a shop's name, active flag or analytics calendar. timezone: null
+// drops the override and falls back to the shop's Shopify timezone.
+app.put('/api/shops/:shopId', requireRole('admin'), async (req, res) => {
+  const { name, isActive, timezone, weekStart, calendar, fiscalYearEndMonth } = req.body;
+
+  try {
+    const existing = await pool.query('SELECT * FROM shops WHERE shop_id = $1', [req.params.shopId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    const shop = {
+      ...existing.rows[0],
+      ...(timezone !== undefined && { timezone: timezone || null }),
+      ...(weekStart !== undefined && { week_start: weekStart }),
+      ...(calendar !== undefined && { calendar }),
+      ...(fiscalYearEndMonth !== undefined && { fiscal_year_end_month: fiscalYearEndMonth })
+    };
+
+    const invalid = validateCalendar(getShopCalendar(shop));
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const result = await pool.query(`
+      UPDATE shops SET
+        name = COALESCE($2, name),
+        is_active = COALESCE($3, is_active),
+        timezone = $4,
+        week_start = $5,
+        calendar = $6,
+        fiscal_year_end_month = $7,
+        updated_at = NOW()
+      WHERE shop_id = $1
+      RETURNING *
+    `, [shop.shop_id, name ?? null, isActive ?? null, shop.timezone, shop.week_start, shop.calendar, shop.fiscal_year_end_month]);
+
+    if (getShopCalendar(existing.rows[0]).timeZone !== getShopCalendar(result.rows[0]).timeZone) {
+      await rescheduleShopCrons(shop.shop_id);
+    }
+
+    res.json({ shop: formatShop(result.rows[0]) });
+  } catch (error) {
+    console.error('❌ Update shop error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tokens saved before encryption existed sat in shops.access_token.
+// Encrypt them and drop the plaintext column once it's empty.
+async function encryptPlaintextShopTokens() {
+  const column = await pool.query(`
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'shops' AND column_name = 'access_token'
+  `);
+  if (column.rows.length === 0) return;
+
+  if (!hasCredentialsKey()) {
+    console.log('⚠️ CREDENTIALS_KEY not set; plaintext shop tokens left in place');
+    return;
+  }
+
+  const plaintext = await pool.query('SELECT shop_id, access_token FROM shops WHERE access_token IS NOT NULL');
+  for (const row of plaintext.rows) {
+    await pool.query(
+      'UPDATE shops SET access_token_encrypted = $2, access_token = NULL WHERE shop_id = $1',
+      [row.shop_id, encryptSecret(row.access_token)]
+    );
+  }
+
+  await pool.query('ALTER TABLE shops DROP COLUMN access_token');
+  console.log(`🔐 Encrypted ${plaintext.rows.length} stored shop tokens`);
+}
+
+// Bring the schema up to date (see migrations/), then run the boot-time
+// steps that depend on the environment rather than the schema
+async function initDatabase() {
+  console.log('🔄 Initializing database...');
+  
+  try {
+    if (process.env.AUTO_MIGRATE === 'false') {
+      const pending = (await migrationStatus(pool)).filter(m => !m.applied);
+      if (pending.length > 0) {
+        throw new Error(`${pending.length} pending migrations; run npm run migrate`);
+      }
+    } else {
+      const applied = await migrate(pool);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : '✅ Schema up to date');
+    }
+
+    await encryptPlaintextShopTokens();
+    await bootstrapAdminUser();
+
+    console.log('✅ Database initialization complete!');
+  } catch (error) {
+    console.error('❌ Database initialization error:', error);
+    throw error;
+  }
+}
+
+// Load a shop's saved checkpoint for a sync type (null if never run)
+async function getSyncCheckpoint(shopId, syncType) {
+  const result = await pool.query(
+    'SELECT * FROM sync_checkpoints WHERE shop_id = $1 AND sync_type = $2',
+    [shopId, syncType]
+  );
+  return result.rows[0] || null;
+}
+
+// Persist checkpoint state after each page so a restart can resume
+async function saveSyncCheckpoint(shopId, syncType, checkpoint) {
+  await pool.query(`
+    INSERT INTO sync_checkpoints (
+      sync_type, status, page_info, window_field, window_since,
+      last_updated_at, pages_fetched, orders_fetched, updated_at, shop_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9)
+    ON CONFLICT (shop_id, sync_type) DO UPDATE SET
+      status = EXCLUDED.status,
+      page_info = EXCLUDED.page_info,
+      window_field = EXCLUDED.window_field,
+      window_since = EXCLUDED.window_since,
+      last_updated_at = EXCLUDED.last_updated_at,
+      pages_fetched = EXCLUDED.pages_fetched,
+      orders_fetched = EXCLUDED.orders_fetched,
+      updated_at = NOW()
+  `, [
+    syncType,
+    checkpoint.status,
+    checkpoint.pageInfo || null,
+    checkpoint.windowField,
+    checkpoint.windowSince,
+    checkpoint.lastUpdatedAt || null,
+    checkpoint.pagesFetched || 0,
+    checkpoint.ordersFetched || 0,
+    shopId
+  ]);
+}
+
+// Money actually returned; fall back to line subtotals when there are no transactions
+function refundAmount(refund) {
+  const transactions = (refund.transactions || []).filter(t => t.kind === 'refund' && t.status === 'success');
+  return transactions.length > 0
+    ? transactions.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0)
+    : (refund.refund_line_items || []).reduce((sum, rli) => sum + parseFloat(rli.subtotal || 0) + parseFloat(rli.total_tax || 0), 0);
+}
+
+// Insert/update Shopify refunds and their line items in a few set-based
+// statements, then roll the totals onto the orders. Returns rows written.
+async function writeRefunds(db, refunds, shopId) {
+  const byId = new Map(refunds.filter(r => r.id && r.order_id).map(r => [r.id, r]));
+  if (byId.size === 0) return 0;
+
+  const refundRows = [];
+  const lineRows = new Map();
+
+  for (const refund of byId.values()) {
+    refundRows.push({
+      refund_id: refund.id,
+      order_id: refund.order_id,
+      amount: refundAmount(refund),
+      note: refund.note || null,
+      restock: Boolean(refund.restock),
+      created_at: refund.created_at || new Date().toISOString()
+    });
+
+    for (const rli of refund.refund_line_items || []) {
+      lineRows.set(rli.id, {
+        refund_line_item_id: rli.id,
+        refund_id: refund.id,
+        order_id: refund.order_id,
+        line_item_id: rli.line_item_id,
+        variant_id: rli.line_item?.variant_id?.toString() || null,
+        quantity: rli.quantity || 0,
+        subtotal: parseFloat(rli.subtotal || 0),
+        total_tax: parseFloat(rli.total_tax || 0),
+        restock_type: rli.restock_type || null
+      });
+    }
+  }
+
+  const refundResult = await db.query(`
+    INSERT INTO refunds (refund_id, order_id, amount, note, restock, created_at, shop_id)
+    SELECT refund_id, order_id, amount, note, restock, created_at, $2
+    FROM jsonb_to_recordset($1::jsonb) AS x(
+      refund_id BIGINT, order_id BIGINT, amount DECIMAL(10,2), note TEXT, restock BOOLEAN, created_at TIMESTAMPTZ
+    )
+    ON CONFLICT (refund_id) DO UPDATE SET
+      amount = EXCLUDED.amount,
+      note = EXCLUDED.note,
+      restock = EXCLUDED.restock
+  `, [JSON.stringify(refundRows), shopId]);
+
+  let rowsWritten = refundResult.rowCount;
+
+  if (lineRows.size > 0) {
+    // Prefer the variant stored on the order line; the refund payload may omit it
+    const lineResult = await db.query(`
+      INSERT INTO refund_line_items (
+        refund_line_item_id, refund_id, order_id, line_item_id, variant_id,
+        quantity, subtotal, total_tax, restock_type, shop_id
+      )
+      SELECT
+        x.refund_line_item_id, x.refund_id, x.order_id, x.line_item_id,
+        COALESCE(oi.variant_id, x.variant_id),
+        x.quantity, x.subtotal, x.total_tax, x.restock_type, $2
+      FROM jsonb_to_recordset($1::jsonb) AS x(
+        refund_line_item_id BIGINT, refund_id BIGINT, order_id BIGINT, line_item_id BIGINT, variant_id TEXT,
+        quantity INTEGER, subtotal DECIMAL(10,2), total_tax DECIMAL(10,2), restock_type TEXT
+      )
+      LEFT JOIN order_items oi ON oi.order_id = x.order_id AND oi.line_item_id = x.line_item_id
+      ON CONFLICT (refund_line_item_id) DO UPDATE SET
+        quantity = EXCLUDED.quantity,
+        subtotal = EXCLUDED.subtotal,
+        total_tax = EXCLUDED.total_tax,
+        restock_type = EXCLUDED.restock_type
+    `, [JSON.stringify([...lineRows.values()]), shopId]);
+    rowsWritten += lineResult.rowCount;
+  }
+
+  await db.query(`
+    UPDATE orders o
+    SET total_refunded = (SELECT COALESCE(SUM(amount), 0) FROM refunds r WHERE r.order_id = o.order_id),
+        updated_at = NOW()
+    WHERE o.order_id = ANY($1::bigint[])
+  `, [[...new Set(refundRows.map(r => r.order_id))]]);
+
+  return rowsWritten;
+}
+
+// Insert/update a single Shopify refund (refunds/create webhook); returns the amount
+async function upsertRefund(refund, shopId, db = pool) {
+  await writeRefunds(db, [refund], shopId);
+  return refundAmount(refund);
+}
+
+// Orders with refunds netted out of total_price; cancelled orders dropped.
+// Shaped like the orders table so analytics can select FROM either.
+const NET_ORDERS_SQL = `
+  SELECT
+    o.order_id,
+    o.shop_id,
+    o.customer_id,
+    o.order_date,
+    o.total_price - COALESCE(o.total_refunded, 0) as total_price
+  FROM orders o
+  WHERE o.cancelled_at IS NULL
+`;
+
+// One row per order line with gross vs net units/revenue. Cancelled orders
+// net to zero; refunds count against the original order date.
+const LINE_SALES_SQL = `
+  SELECT
+    oi.variant_id,
+    oi.title,
+    oi.variant_title,
+    o.order_id,
+    o.shop_id,
+    o.order_date,
+    oi.quantity as gross_units,
+    oi.quantity * oi.price as gross_revenue,
+    CASE WHEN o.cancelled_at IS NULL THEN LEAST(COALESCE(r.quantity, 0), oi.quantity) ELSE 0 END as refunded_units,
+    CASE WHEN o.cancelled_at IS NULL THEN COALESCE(r.subtotal, 0) ELSE 0 END as refunded_revenue,
+    CASE WHEN o.cancelled_at IS NULL THEN GREATEST(oi.quantity - COALESCE(r.quantity, 0), 0) ELSE 0 END as net_units,
+    CASE WHEN o.cancelled_at IS NULL THEN GREATEST(oi.quantity * oi.price - COALESCE(r.subtotal, 0), 0) ELSE 0 END as net_revenue,
+    CASE WHEN o.cancelled_at IS NOT NULL THEN oi.quantity ELSE 0 END as cancelled_units
+  FROM order_items oi
+  JOIN orders o ON o.order_id = oi.order_id
+  LEFT JOIN (
+    SELECT order_id, line_item_id, SUM(quantity) as quantity, SUM(subtotal) as subtotal
+    FROM refund_line_items
+    GROUP BY order_id, line_item_id
+  ) r ON r.order_id = oi.order_id AND r.line_item_id = oi.line_item_id
+`;
+
+// Insert/update a batch of Shopify orders with their line items and refunds
+// in one transaction, using one set-based statement per table rather than a
+// query per row. Lines are keyed on Shopify's line_item.id, and stored lines
+// no longer on an order are removed. Orders and lines that can't be stored
+// come back in `rejected` rather than being skipped silently.
+async function upsertOrders(orders, shopId) {
+  const rejected = [];
+  const byId = new Map();
+
+  for (const order of orders) {
+    if (!order.id) {
+      rejected.push({ type: 'order', orderId: null, reason: 'Missing order id' });
+      continue;
+    }
+    byId.set(order.id, order);
+  }
+
+  const orderRows = [];
+  const lineRows = [];
+  const refunds = [];
+
+  for (const order of byId.values()) {
+    // Hash email for privacy
+    const emailHash = order.customer?.email
+      ? crypto.createHash('sha256').update(order.customer.email).digest('hex')
+      : null;
+
+    orderRows.push({
+      order_id: order.id,
+      order_number: order.order_number,
+      customer_id: order.customer?.id || null,
+      customer_email_hash: emailHash,
+      total_price: parseFloat(order.total_price || 0),
+      subtotal_price: parseFloat(order.subtotal_price || 0),
+      total_tax: parseFloat(order.total_tax || 0),
+      order_date: order.created_at,
+      financial_status: order.financial_status || 'pending',
+      fulfillment_status: order.fulfillment_status || null,
+      cancelled_at: order.cancelled_at || null,
+      cancel_reason: order.cancel_reason || null
+    });
+
+    (order.line_items || []).forEach((item, position) => {
+      if (!item.id) {
+        rejected.push({ type: 'line_item', orderId: order.id, position, title: item.title || null, reason: 'Missing line item id' });
+        return;
+      }
+
+      // Custom sale items have no usable variant; key them on the line item so the id survives reordering
+      const isCustomItem = !item.variant_id || item.sku === null || item.sku === '';
+      lineRows.push({
+        order_id: order.id,
+        variant_id: isCustomItem ? `custom_${item.id}` : item.variant_id.toString(),
+        product_id: item.product_id?.toString() || null,
+        title: item.title || 'Custom Item',
+        variant_title: item.variant_title || null,
+        quantity: item.quantity || 1,
+        price: parseFloat(item.price || 0),
+        cart_position: position,
+        line_item_id: item.id
+      });
+    });
+
+    // Refunds ride along on the order payload
+    refunds.push(...(order.refunds || []));
+  }
+
+  const written = { ordersWritten: 0, orderIds: [], itemsWritten: 0, itemsRemoved: 0, rowsWritten: 0, rejected };
+  if (orderRows.length === 0) return written;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // is_returning_customer is worked out after the sync from customer history
+    const orderResult = await client.query(`
+      INSERT INTO orders (
+        order_id, order_number, customer_id, customer_email_hash,
+        total_price, subtotal_price, total_tax, order_date,
+        financial_status, fulfillment_status, is_returning_customer,
+        cancelled_at, cancel_reason, shop_id
+      )
+      SELECT
+        order_id, order_number, customer_id, customer_email_hash,
+        total_price, subtotal_price, total_tax, order_date,
+        financial_status, fulfillment_status, FALSE,
+        cancelled_at, cancel_reason, $2
+      FROM jsonb_to_recordset($1::jsonb) AS x(
+        order_id BIGINT, order_number TEXT, customer_id BIGINT, customer_email_hash TEXT,
+        total_price DECIMAL(10,2), subtotal_price DECIMAL(10,2), total_tax DECIMAL(10,2), order_date TIMESTAMPTZ,
+        financial_status TEXT, fulfillment_status TEXT, cancelled_at TIMESTAMPTZ, cancel_reason TEXT
+      )
+      ON CONFLICT (order_id) DO UPDATE SET
+        total_price = EXCLUDED.total_price,
+        financial_status = EXCLUDED.financial_status,
+        fulfillment_status = EXCLUDED.fulfillment_status,
+        cancelled_at = EXCLUDED.cancelled_at,
+        cancel_reason = EXCLUDED.cancel_reason,
+        updated_at = NOW()
+    `, [JSON.stringify(orderRows), shopId]);
+
+    if (lineRows.length > 0) {
+      const lineResult = await client.query(`
+        INSERT INTO order_items (
+          order_id, variant_id, product_id, title, variant_title,
+          quantity, price, cart_position, line_item_id, shop_id
+        )
+        SELECT
+          order_id, variant_id, product_id, title, variant_title,
+          quantity, price, cart_position, line_item_id, $2
+        FROM jsonb_to_recordset($1::jsonb) AS x(
+          order_id BIGINT, variant_id TEXT, product_id TEXT, title TEXT, variant_title TEXT,
+          quantity INTEGER, price DECIMAL(10,2), cart_position INTEGER, line_item_id BIGINT
+        )
+        ON CONFLICT (line_item_id) DO UPDATE SET
+          variant_id = EXCLUDED.variant_id,
+          product_id = EXCLUDED.product_id,
+          title = EXCLUDED.title,
+          variant_title = EXCLUDED.variant_title,
+          quantity = EXCLUDED.quantity,
+          price = EXCLUDED.price,
+          cart_position = EXCLUDED.cart_position
+      `, [JSON.stringify(lineRows), shopId]);
+      written.rowsWritten += lineResult.rowCount;
+    }
+
+    // Lines edited out upstream, plus rows stored before line_item_id keys
+    const removed = await client.query(`
+      DELETE FROM order_items
+      WHERE order_id = ANY($1::bigint[]) AND (line_item_id IS NULL OR NOT (line_item_id = ANY($2::bigint[])))
+    `, [orderRows.map(o => o.order_id), lineRows.map(l => l.line_item_id)]);
+
+    written.rowsWritten += orderResult.rowCount + removed.rowCount + await writeRefunds(client, refunds, shopId);
+
+    await client.query('COMMIT');
+
+    const rejectedItems = rejected.filter(r => r.type === 'line_item').length;
+    if (rejectedItems > 0) {
+      console.error(`   ❌ Rejected ${rejectedItems} line items across ${orderRows.length} orders`);
+    }
+
+    return {
+      ...written,
+      ordersWritten: orderRows.length,
+      orderIds: orderRows.map(o => o.order_id),
+      itemsWritten: lineRows.length,
+      itemsRemoved: removed.rowCount
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Single order (webhooks)
+async function upsertOrder(order, shopId) {
+  const { itemsWritten, itemsRemoved, rejected } = await upsertOrders([order], shopId);
+  return { itemsWritten, itemsRemoved, rejected };
+}
+
+// Write a page of orders as one batch. If the batch fails, fall back to one
+// order at a time so a single bad payload is rejected without losing the page.
+async function ingestOrders(orders, shopId) {
+  try {
+    return await upsertOrders(orders, shopId);
+  } catch (error) {
+    console.error(`⚠️ Batch write of ${orders.length} orders failed (${error.message}), retrying one at a time`);
+  }
+
+  const totals = { ordersWritten: 0, orderIds: [], itemsWritten: 0, itemsRemoved: 0, rowsWritten: 0, rejected: [] };
+
+  for (const order of orders) {
+    try {
+      const written = await upsertOrders([order], shopId);
+      totals.ordersWritten += written.ordersWritten;
+      totals.orderIds.push(...written.orderIds);
+      totals.itemsWritten += written.itemsWritten;
+      totals.itemsRemoved += written.itemsRemoved;
+      totals.rowsWritten += written.rowsWritten;
+      totals.rejected.push(...written.rejected);
+    } catch (err) {
+      console.error(`❌ Error processing order ${order.id}:`, err.message);
+      totals.rejected.push({ type: 'order', orderId: order.id, reason: err.message });
+    }
+  }
+
+  return totals;
+}
+
+// ==========================================================
+// 🧵 JOBS - Postgres-backed background job queue
+// Syncs and recomputations run here instead of inside HTTP requests.
+// A session advisory lock per (job type, shop) keeps one run at a time
+// across server instances. The lock drops with the connection if a worker
+// dies, which is how an orphaned 'running' job gets picked up again.
+// ==========================================================
+
+const JOB_POLL_INTERVAL_MS = (parseInt(process.env.JOB_POLL_SECONDS) || 5) * 1000;
+const JOB_RETRY_BASE_SECONDS = 30;
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const WORKER_ID = `${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+// run(job, shop) does the work and reports through job.progress / job.saveProgress().
+// dedupe: 'active' skips a new request while one is queued or running;
+// 'queued' only folds it into a waiting job (mergePayload), so work that
+// arrives mid-run still gets its own pass afterwards.
+const JOB_TYPES = {
+  order_sync: { maxAttempts: 3, requiresShop: true, dedupe: 'active', run: runOrderSync },
+  product_sync: {
+    maxAttempts: 3,
+    requiresShop: true,
+    dedupe: 'active',
+    run: (job, shop) => syncProducts(shop, { deleteMissing: Boolean(job.payload.deleteMissing), job })
+  },
+  correlations: {
+    maxAttempts: 2,
+    dedupe: 'queued',
+    run: job => calculateCorrelations(job.payload),
+    // Incremental order lists combine; a full rebuild (no orderIds) wins
+    mergePayload: (queued, next) => ({
+      ...queued,
+      ...next,
+      orderIds: Array.isArray(queued.orderIds) && Array.isArray(next.orderIds)
+        ? [...new Set([...queued.orderIds, ...next.orderIds])]
+        : null
+    })
+  },
+  velocity: { maxAttempts: 3, dedupe: 'queued', run: () => refreshSalesData() },
+  line_item_backfill: { maxAttempts: 3, requiresShop: true, dedupe: 'active', run: backfillLineItems }
+};
+
+function formatJob(j, { includePayload = false } = {}) {
+  return {
+    id: j.job_id,
+    type: j.job_type,
+    shopId: j.shop_id,
+    status: j.status,
+    ...(includePayload && { payload: j.payload }),
+    progress: j.progress,
+    result: j.result,
+    error: j.error,
+    attempts: j.attempts,
+    maxAttempts: j.max_attempts,
+    runAt: j.run_at,
+    createdBy: j.created_by,
+    createdAt: j.created_at,
+    startedAt: j.started_at,
+    finishedAt: j.finished_at
+  };
+}
+
+// Queue a job, or return the matching one already waiting/running
+async function enqueueJob(jobType, { shopId = null, payload = {}, runAt = null, createdBy = null } = {}) {
+  const type = JOB_TYPES[jobType];
+  if (!type) {
+    throw new Error(`Unknown job type: ${jobType}`);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize enqueues of the same type and shop so the duplicate check can't race
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', [`enqueue:${jobType}`, shopId || 0]);
+
+    const existing = await client.query(`
+      SELECT * FROM jobs
+      WHERE job_type = $1 AND shop_id IS NOT DISTINCT FROM $2 AND status = ANY($3)
+      ORDER BY (status = 'queued') DESC, job_id
+      LIMIT 1
+    `, [jobType, shopId, type.dedupe === 'active' ? ['queued', 'running'] : ['queued']]);
+
+    let job = existing.rows[0];
+    const duplicate = Boolean(job);
+
+    if (job && type.mergePayload && job.status === 'queued') {
+      const merged = await client.query(
+        'UPDATE jobs SET payload = $2, updated_at = NOW() WHERE job_id = $1 RETURNING *',
+        [job.job_id, JSON.stringify(type.mergePayload(job.payload, payload))]
+      );
+      job = merged.rows[0];
+    } else if (!job) {
+      const inserted = await client.query(`
+        INSERT INTO jobs (job_type, shop_id, payload, max_attempts, run_at, created_by)
+        VALUES ($1, $2, $3, $4, COALESCE($5, NOW()), $6)
+        RETURNING *
+      `, [jobType, shopId, JSON.stringify(payload), type.maxAttempts, runAt, createdBy]);
+      job = inserted.rows[0];
+    }
+
+    await client.query('COMMIT');
+
+    if (!duplicate) {
+      console.log(`🧵 Queued ${jobType} job ${job.job_id}${shopId ? ` for shop ${shopId}` : ''}`);
+    }
+
+    kickJobWorker();
+    return { job, duplicate };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function executeJob(job) {
+  const type = JOB_TYPES[job.job_type];
+  job.progress = job.progress || {};
+  job.saveProgress = () => pool.query(
+    'UPDATE jobs SET progress = $2, updated_at = NOW() WHERE job_id = $1',
+    [job.job_id, JSON.stringify(job.progress)]
+  );
+
+  console.log(`🧵 Running ${job.job_type} job ${job.job_id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    if (!type) {
+      throw new Error(`Unknown job type: ${job.job_type}`);
+    }
+    // Claimed again after its worker died mid-run on the final attempt
+    if (job.attempts > job.max_attempts) {
+      throw new Error('Worker stopped during the last attempt');
+    }
+
+    let shop = null;
+    if (type.requiresShop) {
+      const shopResult = await pool.query('SELECT * FROM shops WHERE shop_id = $1 AND is_active', [job.shop_id]);
+      shop = shopResult.rows[0];
+      if (!shop) {
+        throw new Error(`Shop ${job.shop_id} not found or inactive`);
+      }
+    }
+
+    const result = await type.run(job, shop);
+
+    await pool.query(`
+      UPDATE jobs SET status = 'succeeded', result = $2, progress = $3, error = NULL, finished_at = NOW(), updated_at = NOW()
+      WHERE job_id = $1
+    `, [job.job_id, JSON.stringify(result ?? null), JSON.stringify(job.progress)]);
+
+    console.log(`✅ ${job.job_type} job ${job.job_id} succeeded`);
+
+    await fireTriggeredSchedules(job).catch(err => console.error('Triggered schedule error:', err));
+  } catch (error) {
+    const retry = job.attempts < job.max_attempts;
+    const delaySeconds = Math.min(JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1), 3600);
+
+    await pool.query(`
+      UPDATE jobs SET
+        status = $2,
+        error = $3,
+        progress = $4,
+        run_at = CASE WHEN $2 = 'queued' THEN NOW() + make_interval(secs => $5) ELSE run_at END,
+        finished_at = CASE WHEN $2 = 'failed' THEN NOW() END,
+        updated_at = NOW()
+      WHERE job_id = $1
+    `, [job.job_id, retry ? 'queued' : 'failed', error.message, JSON.stringify(job.progress), delaySeconds]);
+
+    console.error(`❌ ${job.job_type} job ${job.job_id} failed${retry ? `, retrying in ${delaySeconds}s` : ''}:`, error.message);
+  }
+}
+
+// Claim and run one due job; false when there was nothing this worker could take
+async function runNextJob() {
+  const due = await pool.query(`
+    SELECT job_id, job_type, shop_id FROM jobs
+    WHERE (status = 'queued' AND run_at <= NOW()) OR status = 'running'
+    ORDER BY run_at, job_id
+    LIMIT 50
+  `);
+
+  for (const candidate of due.rows) {
+    const lockKey = [`job:${candidate.job_type}`, candidate.shop_id || 0];
+    const client = await pool.connect();
+    let locked = false;
+
+    try {
+      const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1), $2) as locked', lockKey);
+      locked = lock.rows[0].locked;
+      if (!locked) continue;
+
+      // With the lock held nobody else runs this type/shop, so a 'running' row is orphaned
+      const claimed = await client.query(`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, worker_id = $2, started_at = NOW(), updated_at = NOW()
+        WHERE job_id = $1 AND ((status = 'queued' AND run_at <= NOW()) OR status = 'running')
+        RETURNING *
+      `, [candidate.job_id, WORKER_ID]);
+
+      if (claimed.rows.length === 0) continue;
+
+      await executeJob(claimed.rows[0]);
+      return true;
+    } finally {
+      if (locked) {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1), $2)', lockKey).catch(() => {});
+      }
+      client.release();
+    }
+  }
+
+  return false;
+}
+
+// Jobs run one at a time per server instance
+let jobWorkerBusy = false;
+
+async function runDueJobs() {
+  if (jobWorkerBusy) return;
+  jobWorkerBusy = true;
+
+  try {
+    while (await runNextJob()) {
+      // keep draining
+    }
+  } catch (error) {
+    console.error('❌ Job worker error:', error);
+  } finally {
+    jobWorkerBusy = false;
+  }
+}
+
+function kickJobWorker() {
+  setImmediate(runDueJobs);
+}
+
+function startJobWorker() {
+  setInterval(runDueJobs, JOB_POLL_INTERVAL_MS);
+  kickJobWorker();
+  console.log(`🧵 Job worker ${WORKER_ID} polling every ${JOB_POLL_INTERVAL_MS / 1000}s`);
+}
+
+// Current and most recent outcome per job type. Shop-less jobs (velocity,
+// correlations) cover every shop, so they show up for any shop.
+async function getJobStatuses(shopId) {
+  const result = await pool.query(`
+    SELECT DISTINCT ON (job_type, status) *
+    FROM jobs
+    WHERE ($1::int IS NULL OR shop_id = $1 OR shop_id IS NULL)
+    ORDER BY job_type, status, job_id DESC
+  `, [shopId]);
+
+  const statuses = {};
+  Object.keys(JOB_TYPES).forEach(jobType => {
+    const jobs = result.rows.filter(j => j.job_type === jobType);
+    const current = jobs.find(j => j.status === 'running') || jobs.find(j => j.status === 'queued');
+    const succeeded = jobs.find(j => j.status === 'succeeded');
+    const failed = jobs.find(j => j.status === 'failed');
+
+    statuses[jobType] = {
+      isProcessing: current?.status === 'running',
+      current: current ? formatJob(current) : null,
+      progress: current?.progress || null,
+      lastCompleted: succeeded?.finished_at || null,
+      lastResult: succeeded?.result || null,
+      lastFailure: failed && (!succeeded || failed.job_id > succeeded.job_id)
+        ? { jobId: failed.job_id, error: failed.error, finishedAt: failed.finished_at }
+        : null
+    };
+  });
+
+  return statuses;
+}
+
+// Job status per type. Query: type (one type only), shop
+app.get('/api/jobs/status', requireRole('viewer'), async (req, res) => {
+  if (req.query.type && !JOB_TYPES[req.query.type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+  }
+
+  try {
+    const statuses = await getJobStatuses(shopScope(req));
+    res.json(req.query.type ? statuses[req.query.type] : { jobs: statuses });
+  } catch (error) {
+    console.error('❌ Job status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job history, newest first. Query: type, status, limit, shop
+app.get('/api/jobs', requireRole('viewer'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  if (req.query.status && !JOB_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM jobs
+      WHERE ($1::text IS NULL OR job_type = $1)
+        AND ($2::text IS NULL OR status = $2)
+        AND ($4::int IS NULL OR shop_id = $4 OR shop_id IS NULL)
+      ORDER BY job_id DESC
+      LIMIT $3
+    `, [req.query.type || null, req.query.status || null, limit, shopScope(req)]);
+
+    res.json({ jobs: result.rows.map(j => formatJob(j)) });
+  } catch (error) {
+    console.error('❌ List jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:jobId', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM jobs WHERE job_id = $1 AND ($2::int IS NULL OR shop_id = $2 OR shop_id IS NULL)',
+      [req.params.jobId, shopScope(req)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: formatJob(result.rows[0], { includePayload: true }) });
+  } catch (error) {
+    console.error('❌ Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a job that hasn't started (running jobs finish their attempt)
+app.post('/api/jobs/:jobId/cancel', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE jobs SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+      WHERE job_id = $1 AND status = 'queued' AND ($2::int IS NULL OR shop_id = $2 OR shop_id IS NULL)
+      RETURNING *
+    `, [req.params.jobId, shopScope(req)]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Job not found or no longer queued' });
+    }
+
+    res.json({ job: formatJob(result.rows[0]) });
+  } catch (error) {
+    console.error('❌ Cancel job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 202 response for routes that hand work to the queue
+function sendQueuedJob(res, { job, duplicate }, message) {
+  res.status(202).json({
+    success: true,
+    processing: true,
+    duplicate,
+    jobId: job.job_id,
+    job: formatJob(job),
+    message: duplicate ? `${message} already queued or in progress` : `${message} queued`
+  });
+}
+
+// ==========================================================
+// ⏰ SCHEDULES - recurring jobs stored in the database
+// A schedule has either a cron expression (in its shop's timezone, or
+// STORE_TIMEZONE for schedules shared by all shops) or an `after`
+// job type it follows whenever that job succeeds. Firing a schedule just
+// queues a job, so the queue's dedupe stops overlapping runs piling up.
+// Order syncs already queue incremental correlations and velocity themselves.
+// ==========================================================
+
+const SCHEDULE_TICK_MS = 60 * 1000;
+
+// Created for each newly registered shop
+const DEFAULT_SHOP_SCHEDULES = [
+  { name: 'Order sync every 15 minutes', jobType: 'order_sync', cron: '*/15 * * * *' },
+  { name: 'Nightly product sync', jobType: 'product_sync', cron: '0 3 * * *' }
+];
+
+const SCHEDULE_SELECT_SQL = `
+  SELECT s.*, j.status as last_job_status, j.error as last_job_error, j.finished_at as last_job_finished_at,
+    sh.timezone as shop_timezone, sh.shopify_timezone as shop_shopify_timezone
+  FROM schedules s
+  LEFT JOIN jobs j ON j.job_id = s.last_job_id
+  LEFT JOIN shops sh ON sh.shop_id = s.shop_id
+`;
+
+// Time zone a schedule's cron runs in (a row from SCHEDULE_SELECT_SQL)
+function scheduleTimeZone(s) {
+  const shop = s.shop_id ? { timezone: s.shop_timezone, shopify_timezone: s.shop_shopify_timezone } : null;
+  return getShopCalendar(shop).timeZone;
+}
+
+function formatSchedule(s) {
+  return {
+    id: s.schedule_id,
+    name: s.name,
+    jobType: s.job_type,
+    shopId: s.shop_id,
+    cron: s.cron,
+    after: s.after_job_type,
+    timezone: s.cron ? scheduleTimeZone(s) : null,
+    payload: s.payload,
+    isPaused: s.is_paused,
+    nextRunAt: s.is_paused ? null : s.next_run_at,
+    lastRunAt: s.last_run_at,
+    lastError: s.last_error,
+    lastJob: s.last_job_id
+      ? { id: s.last_job_id, status: s.last_job_status, error: s.last_job_error, finishedAt: s.last_job_finished_at }
+      : null,
+    createdBy: s.created_by,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at
+  };
+}
+
+async function getSchedule(scheduleId) {
+  const result = await pool.query(`${SCHEDULE_SELECT_SQL} WHERE s.schedule_id = $1`, [scheduleId]);
+  return result.rows[0] || null;
+}
+
+// Error message for an invalid cron/after pair, or null
+async function validateScheduleTrigger(jobType, { cron, after }) {
+  if (Boolean(cron) === Boolean(after)) {
+    return 'Provide exactly one of cron or after';
+  }
+
+  if (cron) {
+    try {
+      parseCron(cron);
+    } catch (error) {
+      return error.message;
+    }
+    // Parses but never matches a real date, e.g. 0 0 31 2 *
+    if (!nextCronRun(cron, new Date(), STORE_TIMEZONE)) {
+      return `Cron expression never runs: ${cron}`;
+    }
+    return null;
+  }
+
+  if (!JOB_TYPES[after]) {
+    return `after must be one of: ${Object.keys(JOB_TYPES).join(', ')}`;
+  }
+
+  // Follow existing `after` chains from this job type; reaching `after` again would loop forever
+  const triggers = await pool.query('SELECT job_type, after_job_type FROM schedules WHERE after_job_type IS NOT NULL');
+  const reachable = new Set([jobType]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    triggers.rows.forEach(t => {
+      if (reachable.has(t.after_job_type) && !reachable.has(t.job_type)) {
+        reachable.add(t.job_type);
+        grew = true;
+      }
+    });
+  }
+
+  return reachable.has(after) ? `Running ${jobType} after ${after} would trigger itself in a loop` : null;
+}
+
+async function createSchedule({ name, jobType, shopId = null, cron = null, after = null, payload = {}, isPaused = false, createdBy = null }) {
+  const shopResult = shopId ? await pool.query('SELECT * FROM shops WHERE shop_id = $1', [shopId]) : { rows: [] };
+  const timeZone = getShopCalendar(shopResult.rows[0] || null).timeZone;
+
+  const result = await pool.query(`
+    INSERT INTO schedules (name, job_type, shop_id, cron, after_job_type, payload, is_paused, next_run_at, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING schedule_id
+  `, [
+    name || null, jobType, shopId, cron || null, after || null, JSON.stringify(payload), isPaused,
+    cron ? nextCronRun(cron, new Date(), timeZone) : null, createdBy
+  ]);
+
+  return getSchedule(result.rows[0].schedule_id);
+}
+
+// Recompute next runs after a shop's timezone changes so crons keep their local times
+async function rescheduleShopCrons(shopId) {
+  const result = await pool.query(`
+    ${SCHEDULE_SELECT_SQL}
+    WHERE s.shop_id = $1 AND s.cron IS NOT NULL AND NOT s.is_paused
+  `, [shopId]);
+
+  for (const schedule of result.rows) {
+    await pool.query(
+      'UPDATE schedules SET next_run_at = $2, updated_at = NOW() WHERE schedule_id = $1',
+      [schedule.schedule_id, nextCronRun(schedule.cron, new Date(), scheduleTimeZone(schedule))]
+    );
+  }
+}
+
+async function createDefaultSchedules(shopId) {
+  for (const schedule of DEFAULT_SHOP_SCHEDULES) {
+    await createSchedule({ ...schedule, shopId, createdBy: 'default' });
+  }
+  console.log(`⏰ Created ${DEFAULT_SHOP_SCHEDULES.length} default schedules for shop ${shopId}`);
+}
+
+// Queue the schedule's job and record the outcome. Cron schedules move on to
+// their next run even when queueing fails, so one bad schedule can't spin.
+async function fireSchedule(schedule) {
+  const nextRunAt = schedule.cron ? nextCronRun(schedule.cron, new Date(), scheduleTimeZone(schedule)) : null;
+
+  try {
+    const queued = await enqueueJob(schedule.job_type, {
+      shopId: schedule.shop_id,
+      payload: schedule.payload || {},
+      createdBy: `schedule:${schedule.schedule_id}`
+    });
+
+    await pool.query(`
+      UPDATE schedules SET last_run_at = NOW(), last_job_id = $2, last_error = NULL, next_run_at = $3, updated_at = NOW()
+      WHERE schedule_id = $1
+    `, [schedule.schedule_id, queued.job.job_id, nextRunAt]);
+
+    console.log(`⏰ Schedule ${schedule.schedule_id} (${schedule.job_type}) fired${queued.duplicate ? ', job already pending' : ''}`);
+    return queued;
+  } catch (error) {
+    await pool.query(
+      'UPDATE schedules SET last_run_at = NOW(), last_error = $2, next_run_at = $3, updated_at = NOW() WHERE schedule_id = $1',
+      [schedule.schedule_id, error.message, nextRunAt]
+    );
+
+    console.error(`❌ Schedule ${schedule.schedule_id} (${schedule.job_type}) failed to fire:`, error.message);
+    throw error;
+  }
+}
+
+// Fire due cron schedules. One instance fires per tick.
+async function runDueSchedules() {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query("SELECT pg_try_advisory_xact_lock(hashtext('run_schedules')) as locked");
+    if (lock.rows[0].locked) {
+      const due = await client.query(`
+        ${SCHEDULE_SELECT_SQL}
+        WHERE NOT s.is_paused AND s.cron IS NOT NULL AND s.next_run_at <= NOW()
+        ORDER BY s.next_run_at
+      `);
+
+      for (const schedule of due.rows) {
+        await fireSchedule(schedule).catch(() => {});
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Scheduler error:', error);
+  } finally {
+    client.release();
+  }
+}
+
+// Fire `after` schedules for a job that just succeeded. Shop-less schedules
+// follow the job type for every shop.
+async function fireTriggeredSchedules(job) {
+  const result = await pool.query(`
+    SELECT * FROM schedules
+    WHERE NOT is_paused AND after_job_type = $1 AND (shop_id IS NULL OR shop_id = $2)
+    ORDER BY schedule_id
+  `, [job.job_type, job.shop_id]);
+
+  for (const schedule of result.rows) {
+    await fireSchedule(schedule).catch(() => {});
+  }
+}
+
+function startScheduler() {
+  setInterval(runDueSchedules, SCHEDULE_TICK_MS);
+  runDueSchedules();
+  console.log(`⏰ Scheduler running (shop timezones, default ${STORE_TIMEZONE})`);
+}
+
+// Schedules for the requested shop plus shop-less ones
+app.get('/api/schedules', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      ${SCHEDULE_SELECT_SQL}
+      WHERE ($1::int IS NULL OR s.shop_id = $1 OR s.shop_id IS NULL)
+      ORDER BY s.schedule_id
+    `, [shopScope(req)]);
+
+    res.json({ schedules: result.rows.map(formatSchedule), timezone: STORE_TIMEZONE });
+  } catch (error) {
+    console.error('❌ List schedules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: jobType, cron ('*/15 * * * *', '@daily') or after (a job type), name, payload, isPaused.
+// Shop-specific job types (order_sync, product_sync) use the requested shop.
+app.post('/api/schedules', requireRole('admin'), async (req, res) => {
+  const { name, jobType, cron, after, payload, isPaused } = req.body || {};
+  const type = JOB_TYPES[jobType];
+
+  if (!type) {
+    return res.status(400).json({ error: `jobType must be one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+  }
+  if (type.requiresShop && !req.shop) {
+    return res.status(400).json({ error: `shop is required for ${jobType} schedules` });
+  }
+
+  try {
+    const invalid = await validateScheduleTrigger(jobType, { cron, after });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const schedule = await createSchedule({
+      name,
+      jobType,
+      shopId: type.requiresShop || (after && req.shop) ? req.shop.shop_id : null,
+      cron,
+      after,
+      payload: payload || {},
+      isPaused: Boolean(isPaused),
+      createdBy: req.user.email
+    });
+
+    console.log(`⏰ Created schedule ${schedule.schedule_id}: ${jobType} ${cron || `after ${after}`}`);
+    res.status(201).json({ schedule: formatSchedule(schedule) });
+  } catch (error) {
+    console.error('❌ Create schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update name, cron/after, payload or isPaused. Changing the cron or
+// resuming recomputes the next run from now.
+app.put('/api/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+  const { name, cron, after, payload, isPaused } = req.body || {};
+
+  try {
+    const existing = await getSchedule(req.params.scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const retrigger = cron !== undefined || after !== undefined;
+    const trigger = retrigger ? { cron: cron || null, after: after || null } : { cron: existing.cron, after: existing.after_job_type };
+
+    if (retrigger) {
+      const invalid = await validateScheduleTrigger(existing.job_type, trigger);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    const paused = isPaused ?? existing.is_paused;
+    const resumed = existing.is_paused && !paused;
+    const nextRunAt = trigger.cron && (retrigger || resumed)
+      ? nextCronRun(trigger.cron, new Date(), scheduleTimeZone(existing))
+      : trigger.cron ? existing.next_run_at : null;
+
+    await pool.query(`
+      UPDATE schedules SET
+        name = COALESCE($2, name),
+        cron = $3,
+        after_job_type = $4,
+        payload = COALESCE($5, payload),
+        is_paused = $6,
+        next_run_at = $7,
+        updated_at = NOW()
+      WHERE schedule_id = $1
+    `, [
+      existing.schedule_id, name ?? null, trigger.cron, trigger.after,
+      payload !== undefined ? JSON.stringify(payload) : null, paused, nextRunAt
+    ]);
+
+    res.json({ schedule: formatSchedule(await getSchedule(existing.schedule_id)) });
+  } catch (error) {
+    console.error('❌ Update schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/schedules/:scheduleId/pause', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE schedules SET is_paused = TRUE, updated_at = NOW() WHERE schedule_id = $1 RETURNING schedule_id',
+      [req.params.scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ schedule: formatSchedule(await getSchedule(req.params.scheduleId)) });
+  } catch (error) {
+    console.error('❌ Pause schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/schedules/:scheduleId/resume', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await getSchedule(req.params.scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    await pool.query(
+      'UPDATE schedules SET is_paused = FALSE, next_run_at = $2, updated_at = NOW() WHERE schedule_id = $1',
+      [existing.schedule_id, existing.cron ? nextCronRun(existing.cron, new Date(), scheduleTimeZone(existing)) : null]
+    );
+
+    res.json({ schedule: formatSchedule(await getSchedule(existing.schedule_id)) });
+  } catch (error) {
+    console.error('❌ Resume schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fire a schedule now, paused or not
+app.post('/api/schedules/:scheduleId/run', requireRole('admin'), async (req, res) => {
+  try {
+    const existing = await getSchedule(req.params.scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const queued = await fireSchedule(existing);
+    sendQueuedJob(res, queued, `Schedule ${existing.schedule_id}`);
+  } catch (error) {
+    console.error('❌ Run schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:scheduleId', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM schedules WHERE schedule_id = $1 RETURNING schedule_id', [req.params.scheduleId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete schedule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-second rate to one decimal place
+function perSecond(count, ms) {
+  return ms > 0 ? Math.round(count * 10000 / ms) / 10 : 0;
+}
+
+// Rejected orders/lines for a sync result: counts plus the first few in full
+function summarizeRejected(rejected) {
+  return {
+    rejectedOrders: rejected.filter(r => r.type === 'order').length,
+    rejectedItems: rejected.filter(r => r.type === 'line_item').length,
+    rejected: rejected.slice(0, 100)
+  };
+}
+
+// 🔥 ORDER BLITZ - Cursor-paginated incremental sync with resumable checkpoint.
+// Runs as an order_sync job; a retry resumes from the saved checkpoint.
+async function runOrderSync(job, shop) {
+  const { forceFullSync } = job.payload;
+  const { shop_id: shopId, shop_domain: storeName } = shop;
+  const { progress } = job;
+
+  const PAGE_SIZE = 250;
+  const shopify = getShopifyClient(shop);
+
+  Object.assign(progress, { processed: 0, total: 0, pagesFetched: 0, totalPages: 0 });
+  console.log(`🔥 Order Blitz started for ${storeName}`);
+  console.log('   Force full sync:', forceFullSync || false);
+
+  const checkpoint = forceFullSync ? null : await getSyncCheckpoint(shopId, 'orders');
+  const resuming = checkpoint?.status === 'in_progress' && checkpoint.window_since;
+
+  // Work out the sync window: resume an interrupted run, continue from the
+  // last updated_at watermark, or fall back to the newest stored order
+  let windowField = 'created_at';
+  let sinceDate = '2023-01-01T00:00:00Z'; // Default to 2 years ago
+  let pageInfo = null;
+
+  if (resuming) {
+    windowField = checkpoint.window_field;
+    sinceDate = new Date(checkpoint.window_since).toISOString();
+    pageInfo = checkpoint.page_info;
+    console.log(`♻️ Resuming interrupted sync from page ${checkpoint.pages_fetched + 1} (${windowField} >= ${sinceDate})`);
+  } else if (checkpoint?.last_updated_at) {
+    // Subtract 5 minutes from the watermark to create overlap and prevent gaps
+    const bufferDate = new Date(checkpoint.last_updated_at);
+    bufferDate.setMinutes(bufferDate.getMinutes() - 5);
+    windowField = 'updated_at';
+    sinceDate = bufferDate.toISOString();
+    console.log(`📅 Incremental sync - fetching orders updated since: ${sinceDate} (5min buffer)`);
+  } else if (!forceFullSync) {
+    // No checkpoint yet: get the most recent order date from database
+    const lastOrderResult = await pool.query(`
+      SELECT MAX(order_date) as last_order_date
+      FROM orders
+      WHERE shop_id = $1
+    `, [shopId]);
+
+    const lastOrderDate = lastOrderResult.rows[0]?.last_order_date;
+
+    if (lastOrderDate) {
+      const bufferDate = new Date(lastOrderDate);
+      bufferDate.setMinutes(bufferDate.getMinutes() - 5);
+      sinceDate = bufferDate.toISOString();
+      console.log(`📅 Incremental sync - fetching orders since: ${sinceDate} (5min buffer)`);
+    } else {
+      console.log(`📅 Full sync - fetching all orders since: ${sinceDate}`);
+    }
+  } else {
+    console.log(`📅 Full sync - fetching all orders since: ${sinceDate}`);
+  }
+
+  let windowParams = `status=any&${windowField}_min=${encodeURIComponent(sinceDate)}`;
+
+  // Count orders in the window so progress can show a real total
+  try {
+    const { data: countData } = await shopify.get(`/orders/count.json?${windowParams}`);
+    progress.total = countData.count || 0;
+    progress.totalPages = Math.ceil((countData.count || 0) / PAGE_SIZE);
+    console.log(`📊 ${countData.count} orders in sync window`);
+  } catch (error) {
+    console.log('⚠️ Order count unavailable:', error.message);
+  }
+
+  let pagesFetched = resuming ? checkpoint.pages_fetched : 0;
+  let ordersFetched = resuming ? checkpoint.orders_fetched : 0;
+  let lastUpdatedAt = resuming ? checkpoint.last_updated_at : null;
+  let heldAt = null;
+  let totalOrdersInserted = 0;
+  let totalItemsInserted = 0;
+  let totalItemsRemoved = 0;
+  let rowsWritten = 0;
+  let writeMs = 0;
+  const startedAt = Date.now();
+  const ingestedOrderIds = [];
+  const rejected = [];
+
+  progress.pagesFetched = pagesFetched;
+  progress.processed = ordersFetched;
+  await job.saveProgress();
+
+  await saveSyncCheckpoint(shopId, 'orders', {
+    status: 'in_progress',
+    pageInfo,
+    windowField,
+    windowSince: sinceDate,
+    lastUpdatedAt,
+    pagesFetched,
+    ordersFetched
+  });
+
+  let cursorFromCheckpoint = Boolean(resuming && pageInfo);
+  let hasMorePages = true;
+
+  while (hasMorePages) {
+    // Shopify only allows limit alongside page_info; filters ride in the cursor
+    const shopifyPath = pageInfo
+      ? `/orders.json?limit=${PAGE_SIZE}&page_info=${encodeURIComponent(pageInfo)}`
+      : `/orders.json?${windowParams}&order=updated_at%20asc&limit=${PAGE_SIZE}`;
+
+    console.log(`🌐 Fetching page ${pagesFetched + 1}:`, shopifyPath);
+
+    let page;
+    try {
+      page = await shopify.get(shopifyPath);
+    } catch (error) {
+      // A saved cursor can go stale between runs; restart from the watermark instead
+      if (error.status === 400 && cursorFromCheckpoint && lastUpdatedAt) {
+        console.log('⚠️ Saved cursor rejected, restarting window from last updated_at');
+        windowField = 'updated_at';
+        sinceDate = new Date(lastUpdatedAt).toISOString();
+        windowParams = `status=any&updated_at_min=${encodeURIComponent(sinceDate)}`;
+        pageInfo = null;
+        cursorFromCheckpoint = false;
+        continue;
+      }
+
+      console.error('❌ Shopify API error:', error.message);
+      throw error;
+    }
+
+    const orders = page.data.orders || [];
+    const nextPageInfo = page.nextPageInfo;
+
+    console.log(`📦 Page ${pagesFetched + 1}: fetched ${orders.length} orders from Shopify`);
+
+    const writeStarted = Date.now();
+    const written = await ingestOrders(orders, shopId);
+    writeMs += Date.now() - writeStarted;
+
+    totalOrdersInserted += written.ordersWritten;
+    totalItemsInserted += written.itemsWritten;
+    totalItemsRemoved += written.itemsRemoved;
+    rowsWritten += written.rowsWritten;
+    ingestedOrderIds.push(...written.orderIds);
+    rejected.push(...written.rejected);
+
+    // The watermark only moves over orders that were written. A rejected
+    // order holds it back so the next incremental run fetches it again.
+    const writtenIds = new Set(written.orderIds.map(String));
+    for (const order of orders) {
+      if (!order.updated_at) continue;
+
+      if (!writtenIds.has(String(order.id))) {
+        if (order.id && (!heldAt || new Date(order.updated_at) < new Date(heldAt))) {
+          heldAt = order.updated_at;
+        }
+      } else if (!lastUpdatedAt || new Date(order.updated_at) > new Date(lastUpdatedAt)) {
+        lastUpdatedAt = order.updated_at;
+      }
+    }
+    if (heldAt && (!lastUpdatedAt || new Date(heldAt) < new Date(lastUpdatedAt))) {
+      lastUpdatedAt = heldAt;
+    }
+
+    progress.processed += orders.length;
+    progress.ordersPerSecond = perSecond(totalOrdersInserted, Date.now() - startedAt);
+
+    pagesFetched++;
+    ordersFetched += orders.length;
+    pageInfo = nextPageInfo;
+    hasMorePages = Boolean(pageInfo);
+    cursorFromCheckpoint = false;
+    progress.pagesFetched = pagesFetched;
+    await job.saveProgress();
+
+    // Checkpoint only after the page is fully written
+    await saveSyncCheckpoint(shopId, 'orders', {
+      status: pageInfo ? 'in_progress' : 'completed',
+      pageInfo,
+      windowField,
+      windowSince: sinceDate,
+      lastUpdatedAt,
+      pagesFetched,
+      ordersFetched
+    });
+  }
+
+  const elapsedMs = Date.now() - startedAt;
+  console.log(`✅ Order Blitz complete: ${totalOrdersInserted} orders, ${totalItemsInserted} items across ${pagesFetched} pages (${perSecond(totalOrdersInserted, elapsedMs)} orders/sec)`);
+
+  if (totalOrdersInserted > 0) {
+    // Mark returning customers
+    console.log('🔄 Marking returning customers...');
+    await pool.query(`
+      UPDATE orders o
+      SET is_returning_customer = TRUE
+      WHERE customer_id IN (
+        SELECT customer_id
+        FROM orders
+        WHERE customer_id IS NOT NULL AND shop_id = $1
+        GROUP BY customer_id
+        HAVING COUNT(*) > 1
+      )
+      AND customer_id IS NOT NULL
+      AND shop_id = $1
+    `, [shopId]);
+
+    // Update correlations for just this run's orders as a follow-up job.
+    // A resumed run also wrote orders before the crash, so rebuild from scratch.
+    await enqueueJob('correlations', { payload: { orderIds: resuming ? null : ingestedOrderIds } });
+
+    // Recompute per-variant velocity windows
+    await enqueueJob('velocity');
+  }
+
+  return {
+    ordersProcessed: totalOrdersInserted,
+    itemsProcessed: totalItemsInserted,
+    itemsRemoved: totalItemsRemoved,
+    pagesFetched,
+    resumed: Boolean(resuming),
+    // Overall rate includes Shopify fetches; write rate is database time only
+    throughput: {
+      elapsedSeconds: Math.round(elapsedMs / 100) / 10,
+      writeSeconds: Math.round(writeMs / 100) / 10,
+      rowsWritten,
+      ordersPerSecond: perSecond(totalOrdersInserted, elapsedMs),
+      writeOrdersPerSecond: perSecond(totalOrdersInserted, writeMs),
+      rowsPerSecond: perSecond(rowsWritten, writeMs)
+    },
+    ...summarizeRejected(rejected),
+    message: totalOrdersInserted === 0
+      ? 'All orders up to date!'
+      : `Order Blitz complete! Processed ${totalOrdersInserted} orders`
+  };
+}
+
+// Queue an order sync for the requested shop; poll /api/jobs/:jobId for progress
+app.post('/api/order-blitz', requireRole('admin'), requireShop, async (req, res) => {
+  const { forceFullSync } = req.body;
+
+  if (!req.shop.access_token_encrypted) {
+    return res.status(400).json({ error: `No access token stored for ${req.shop.shop_domain}` });
+  }
+
+  try {
+    const queued = await enqueueJob('order_sync', {
+      shopId: req.shop.shop_id,
+      payload: { forceFullSync: Boolean(forceFullSync) },
+      createdBy: req.user.email
+    });
+    sendQueuedJob(res, queued, 'Order Blitz');
+  } catch (error) {
+    console.error('❌ Order Blitz error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Order sync status; /api/jobs/status covers every job type
+app.get('/api/orders/status', requireRole('viewer'), async (req, res) => {
+  try {
+    const statuses = await getJobStatuses(shopScope(req));
+    res.json(statuses.order_sync);
+  } catch (error) {
+    console.error('❌ Order status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch a Shopify REST resource in chunks of ids (Shopify caps ids per request).
+// `params` adds filters to the first page, e.g. 'status=any' for orders.
+async function fetchShopifyByIds(shopify, resource, idParam, ids, chunkSize, params = '') {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const chunk = ids.slice(i, i + chunkSize);
+    let pageInfo = null;
+
+    do {
+      const path = pageInfo
+        ? `/${resource}.json?limit=250&page_info=${encodeURIComponent(pageInfo)}`
+        : `/${resource}.json?${params ? `${params}&` : ''}${idParam}=${chunk.join(',')}&limit=250`;
+
+      const page = await shopify.get(path);
+      rows.push(...(page.data[resource.split('/').pop()] || []));
+      pageInfo = page.nextPageInfo;
+    } while (pageInfo);
+  }
+
+  return rows;
+}
+
+// Re-fetch orders whose stored lines predate line_item_id keys and rewrite
+// them. Orders Shopify no longer returns keep their old rows.
+async function backfillLineItems(job, shop) {
+  const { progress } = job;
+  const legacy = await pool.query(`
+    SELECT DISTINCT order_id FROM order_items
+    WHERE line_item_id IS NULL AND shop_id = $1
+    ORDER BY order_id
+  `, [shop.shop_id]);
+
+  const orderIds = legacy.rows.map(r => r.order_id);
+  const shopify = getShopifyClient(shop);
+  const rejected = [];
+  let ordersRewritten = 0;
+  let itemsRemoved = 0;
+
+  Object.assign(progress, { total: orderIds.length, processed: 0 });
+  console.log(`🧩 Backfilling line item ids for ${orderIds.length} orders on ${shop.shop_domain}`);
+
+  for (let i = 0; i < orderIds.length; i += 250) {
+    const orders = await fetchShopifyByIds(shopify, 'orders', 'ids', orderIds.slice(i, i + 250), 250, 'status=any');
+
+    const written = await ingestOrders(orders, shop.shop_id);
+    ordersRewritten += written.ordersWritten;
+    itemsRemoved += written.itemsRemoved;
+    rejected.push(...written.rejected);
+
+    progress.processed = Math.min(i + 250, orderIds.length);
+    await job.saveProgress();
+  }
+
+  console.log(`✅ Line item backfill: rewrote ${ordersRewritten}/${orderIds.length} orders`);
+
+  if (ordersRewritten > 0) {
+    await enqueueJob('correlations', { payload: { orderIds: null } });
+    await enqueueJob('velocity');
+  }
+
+  return {
+    ordersChecked: orderIds.length,
+    ordersRewritten,
+    ordersMissing: orderIds.length - ordersRewritten - rejected.filter(r => r.type === 'order').length,
+    itemsRemoved,
+    ...summarizeRejected(rejected)
+  };
+}
+
+// Insert/update one Shopify variant into products (shared by sync and webhooks)
+async function upsertProductVariant(product, variant, shopId) {
+  const image = product.images?.find(img => img.id === variant.image_id) || product.image;
+
+  await pool.query(`
+    INSERT INTO products (
+      variant_id, product_id, title, variant_title, barcode, sku,
+      price, compare_at_price, inventory_quantity, inventory_item_id,
+      vendor, tags, image_url, created_at, updated_at,
+      is_deleted, last_synced_at, shop_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, FALSE, NOW(), $16)
+    ON CONFLICT (variant_id) DO UPDATE SET
+      product_id = EXCLUDED.product_id,
+      title = EXCLUDED.title,
+      variant_title = EXCLUDED.variant_title,
+      barcode = EXCLUDED.barcode,
+      sku = EXCLUDED.sku,
+      price = EXCLUDED.price,
+      compare_at_price = EXCLUDED.compare_at_price,
+      inventory_quantity = EXCLUDED.inventory_quantity,
+      inventory_item_id = EXCLUDED.inventory_item_id,
+      vendor = EXCLUDED.vendor,
+      tags = EXCLUDED.tags,
+      image_url = EXCLUDED.image_url,
+      updated_at = EXCLUDED.updated_at,
+      is_deleted = FALSE,
+      last_synced_at = NOW()
+  `, [
+    variant.id.toString(),
+    product.id,
+    product.title || 'Untitled',
+    variant.title === 'Default Title' ? null : (variant.title || null),
+    variant.barcode || null,
+    variant.sku || null,
+    variant.price != null ? parseFloat(variant.price) : null,
+    variant.compare_at_price != null ? parseFloat(variant.compare_at_price) : null,
+    variant.inventory_quantity ?? null,
+    variant.inventory_item_id || null,
+    product.vendor || null,
+    product.tags || null,
+    image?.src || null,
+    variant.created_at || product.created_at,
+    variant.updated_at || product.updated_at,
+    shopId
+  ]);
+}
+
+// Store one location's inventory level (shared by sync and webhooks)
+async function upsertInventoryLevel(level, shopId) {
+  await pool.query(`
+    INSERT INTO inventory_levels (inventory_item_id, location_id, available, updated_at, shop_id)
+    VALUES ($1, $2, $3, COALESCE($4, NOW()), $5)
+    ON CONFLICT (inventory_item_id, location_id) DO UPDATE SET
+      available = EXCLUDED.available,
+      updated_at = EXCLUDED.updated_at
+  `, [level.inventory_item_id, level.location_id, level.available ?? 0, level.updated_at || null, shopId]);
+}
+
+// Roll per-location levels up into products.inventory_quantity
+async function refreshInventoryTotals(inventoryItemIds) {
+  if (inventoryItemIds.length === 0) return;
+
+  await pool.query(`
+    UPDATE products p
+    SET inventory_quantity = il.available
+    FROM (
+      SELECT inventory_item_id, SUM(available) as available
+      FROM inventory_levels
+      WHERE inventory_item_id = ANY($1)
+      GROUP BY inventory_item_id
+    ) il
+    WHERE p.inventory_item_id = il.inventory_item_id
+  `, [inventoryItemIds]);
+}
+
+// Record current stock for variants whose quantity changed (or that haven't been
+// snapshotted today), then open/close stockout intervals to match.
+// Pass shopId and/or inventoryItemIds to limit the snapshot.
+async function snapshotInventory({ shopId = null, inventoryItemIds = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Webhooks and the timer can snapshot at once; without this both could
+    // see no open stockout and trip idx_stockouts_open opening one
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('snapshot_inventory'))");
+
+    const snapshot = await client.query(`
+      INSERT INTO inventory_snapshots (variant_id, quantity, snapshot_at, shop_id)
+      SELECT p.variant_id, COALESCE(p.inventory_quantity, 0), NOW(), p.shop_id
+      FROM products p
+      LEFT JOIN LATERAL (
+        SELECT quantity, snapshot_at
+        FROM inventory_snapshots s
+        WHERE s.variant_id = p.variant_id
+        ORDER BY snapshot_at DESC
+        LIMIT 1
+      ) last ON TRUE
+      WHERE p.is_deleted IS NOT TRUE
+        AND ($1::bigint[] IS NULL OR p.inventory_item_id = ANY($1))
+        AND ($2::int IS NULL OR p.shop_id = $2)
+        AND (
+          last.quantity IS NULL
+          OR last.quantity <> COALESCE(p.inventory_quantity, 0)
+          OR last.snapshot_at < NOW() - INTERVAL '1 day'
+        )
+      ON CONFLICT DO NOTHING
+      RETURNING variant_id, quantity
+    `, [inventoryItemIds, shopId]);
+
+    const outIds = snapshot.rows.filter(r => r.quantity <= 0).map(r => r.variant_id);
+    const inIds = snapshot.rows.filter(r => r.quantity > 0).map(r => r.variant_id);
+
+    // Velocity going into the stockout is what we use to estimate lost sales
+    const opened = await client.query(`
+      INSERT INTO stockouts (variant_id, started_at, daily_velocity, shop_id)
+      SELECT v.variant_id, NOW(), COALESCE(sd.net_monthly_sales, 0) / 30.0, p.shop_id
+      FROM UNNEST($1::text[]) as v(variant_id)
+      JOIN products p ON p.variant_id = v.variant_id
+      LEFT JOIN sales_data sd ON sd.variant_id = v.variant_id
+      WHERE NOT EXISTS (
+        SELECT 1 FROM stockouts s WHERE s.variant_id = v.variant_id AND s.ended_at IS NULL
+      )
+      ON CONFLICT DO NOTHING
+    `, [outIds]);
+
+    const closed = await client.query(`
+      UPDATE stockouts SET ended_at = NOW()
+      WHERE ended_at IS NULL AND variant_id = ANY($1)
+    `, [inIds]);
+
+    await client.query('COMMIT');
+
+    if (opened.rowCount > 0 || closed.rowCount > 0) {
+      console.log(`📉 Stockouts: ${opened.rowCount} started, ${closed.rowCount} ended`);
+    }
+
+    return { snapshots: snapshot.rowCount, stockoutsStarted: opened.rowCount, stockoutsEnded: closed.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Page through every Shopify product/variant and upsert into products.
+// Runs as a product_sync job, which receives progress updates.
+async function syncProducts(shop, { deleteMissing = false, job } = {}) {
+  const { shop_id: shopId } = shop;
+  const shopify = getShopifyClient(shop);
+  const { progress } = job;
+  Object.assign(progress, { stage: 'products', pagesFetched: 0, variants: 0 });
+  const syncStartedAt = new Date();
+
+  let pageInfo = null;
+  let variantsUpserted = 0;
+  let productsSeen = 0;
+  const inventoryItemIds = [];
+  const failedVariantIds = [];
+
+  // 1. Products and variants
+  do {
+    const path = pageInfo
+      ? `/products.json?limit=250&page_info=${encodeURIComponent(pageInfo)}`
+      : '/products.json?limit=250';
+
+    const page = await shopify.get(path);
+    const products = page.data.products || [];
+    pageInfo = page.nextPageInfo;
+    progress.pagesFetched++;
+
+    for (const product of products) {
+      productsSeen++;
+
+      for (const variant of product.variants || []) {
+        try {
+          await upsertProductVariant(product, variant, shopId);
+          variantsUpserted++;
+          progress.variants++;
+          if (variant.inventory_item_id) inventoryItemIds.push(variant.inventory_item_id);
+        } catch (err) {
+          console.error(`   ❌ Failed to upsert variant ${variant.id}:`, err.message);
+          failedVariantIds.push(String(variant.id));
+        }
+      }
+    }
+
+    console.log(`📦 Synced ${productsSeen} products / ${variantsUpserted} variants so far`);
+    await job.saveProgress();
+  } while (pageInfo);
+
+  // 2. Unit cost from inventory items
+  console.log(`💲 Fetching cost for ${inventoryItemIds.length} inventory items...`);
+  progress.stage = 'costs';
+  await job.saveProgress();
+  const inventoryItems = await fetchShopifyByIds(shopify, 'inventory_items', 'ids', inventoryItemIds, 100);
+
+  for (const item of inventoryItems) {
+    await pool.query(
+      'UPDATE products SET cost = $1 WHERE inventory_item_id = $2',
+      [item.cost != null ? parseFloat(item.cost) : null, item.id]
+    );
+  }
+
+  // 3. Inventory levels, summed across locations
+  console.log('📊 Fetching inventory levels...');
+  progress.stage = 'inventory';
+  await job.saveProgress();
+  const levels = await fetchShopifyByIds(shopify, 'inventory_levels', 'inventory_item_ids', inventoryItemIds, 50);
+
+  for (const level of levels) {
+    await upsertInventoryLevel(level, shopId);
+  }
+  const itemsWithLevels = [...new Set(levels.map(level => level.inventory_item_id))];
+  await refreshInventoryTotals(itemsWithLevels);
+  const inventoryHistory = await snapshotInventory({ shopId });
+
+  // 4. Variants not seen in this run no longer exist in Shopify.
+  // Variants still placed on a planogram are only flagged, never deleted.
+  // A variant that failed to save looks unseen too, so failed ids are left
+  // out of cleanup while the variants that did save are still reconciled.
+  progress.stage = 'cleanup';
+  await job.saveProgress();
+  let deleted = { rowCount: 0 };
+
+  if (failedVariantIds.length > 0) {
+    console.log(`⚠️ ${failedVariantIds.length} variants failed to save; leaving them out of cleanup`);
+  }
+
+  if (deleteMissing) {
+    deleted = await pool.query(`
+      DELETE FROM products
+      WHERE shop_id = $2
+        AND (last_synced_at IS NULL OR last_synced_at < $1)
+        AND NOT (variant_id = ANY($3))
+        AND variant_id NOT IN (SELECT variant_id FROM facings)
+    `, [syncStartedAt, shopId, failedVariantIds]);
+  }
+  const flagged = await pool.query(`
+    UPDATE products SET is_deleted = TRUE
+    WHERE shop_id = $2 AND (last_synced_at IS NULL OR last_synced_at < $1) AND is_deleted IS NOT TRUE
+      AND NOT (variant_id = ANY($3))
+  `, [syncStartedAt, shopId, failedVariantIds]);
+
+  console.log(`🗑️ Deleted ${deleted.rowCount} and flagged ${flagged.rowCount} variants missing from Shopify`);
+  const removed = { rowCount: deleted.rowCount + flagged.rowCount };
+
+  return {
+    productsSynced: productsSeen,
+    variantsSynced: variantsUpserted,
+    costsUpdated: inventoryItems.length,
+    inventoryLevelsUpdated: itemsWithLevels.length,
+    inventorySnapshots: inventoryHistory.snapshots,
+    variantsRemoved: removed.rowCount,
+    variantsFailed: failedVariantIds.length,
+    failedVariantIds: failedVariantIds.slice(0, 100)
+  };
+}
+
+// 🛒 PRODUCT SYNC - Queue a full catalog pull into the products table
+app.post('/api/products/sync', requireRole('admin'), requireShop, async (req, res) => {
+  const { deleteMissing } = req.body;
+
+  if (!req.shop.access_token_encrypted) {
+    return res.status(400).json({ error: `No access token stored for ${req.shop.shop_domain}` });
+  }
+
+  try {
+    const queued = await enqueueJob('product_sync', {
+      shopId: req.shop.shop_id,
+      payload: { deleteMissing: Boolean(deleteMissing) },
+      createdBy: req.user.email
+    });
+    sendQueuedJob(res, queued, 'Product sync');
+  } catch (error) {
+    console.error('❌ Product sync error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get product sync status
+app.get('/api/products/sync/status', requireRole('viewer'), async (req, res) => {
+  try {
+    const statuses = await getJobStatuses(shopScope(req));
+    res.json(statuses.product_sync);
+  } catch (error) {
+    console.error('❌ Product sync status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================================
+// 📅 STORE CALENDAR - timezone, week start and fiscal periods for analytics
+// ==========================================================
+
+// A shop's analytics calendar (null = all shops): the merchant's timezone,
+// else Shopify's, else STORE_TIMEZONE; Monday weeks and Gregorian months unless set
+function getShopCalendar(shop) {
+  return {
+    timeZone: shop?.timezone || shop?.shopify_timezone || STORE_TIMEZONE,
+    weekStart: shop?.week_start ?? 1,
+    calendar: shop?.calendar || 'gregorian',
+    fiscalYearEndMonth: shop?.fiscal_year_end_month ?? 12
+  };
+}
+
+// Calendar and from/to range for an analytics request. Query values
+// (timezone, weekStart, calendar, fiscalYearEndMonth) override the shop's.
+// Returns { error } for bad values.
+function parseAnalyticsQuery(req) {
+  const { timezone, weekStart, calendar, fiscalYearEndMonth, from, to } = req.query;
+  const shopCalendar = getShopCalendar(req.shop);
+  const cal = {
+    timeZone: timezone || shopCalendar.timeZone,
+    weekStart: weekStart !== undefined ? Number(weekStart) : shopCalendar.weekStart,
+    calendar: calendar || shopCalendar.calendar,
+    fiscalYearEndMonth: fiscalYearEndMonth !== undefined ? Number(fiscalYearEndMonth) : shopCalendar.fiscalYearEndMonth
+  };
+
+  const invalid = validateCalendar(cal);
+  if (invalid) return { error: invalid };
+
+  try {
+    return { calendar: cal, range: resolveRange(from, to, cal.timeZone) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function formatCalendar(cal) {
+  return {
+    timezone: cal.timeZone,
+    weekStart: cal.weekStart,
+    calendar: cal.calendar,
+    fiscalYearEndMonth: cal.fiscalYearEndMonth
+  };
+}
+
+// Sum per-day rows ({ day, ...numeric columns }) into the store calendar's
+// weeks/months/quarters/years, oldest first
+function rollUpDays(rows, unit, cal, columns) {
+  const periods = new Map();
+
+  for (const row of rows) {
+    const period = periodOf(unit, row.day, cal);
+    const total = periods.get(period.start) || { period: period.start, end: period.end, label: period.label };
+    columns.forEach(c => {
+      total[c] = (total[c] || 0) + parseFloat(row[c] || 0);
+    });
+    periods.set(period.start, total);
+  }
+
+  return [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// Current periods reported by /api/order-analytics, keyed as in the response
+const ANALYTICS_PERIODS = { today: 'day', week: 'week', month: 'month', quarter: 'quarter', year: 'year' };
+
+// Get order analytics from database
+// Query: basis=gross (default) or net (refunds netted out, cancelled orders excluded),
+// shop (omit to aggregate across shops), from/to (store-local dates, to inclusive,
+// or timestamps) to limit the totals and order dates, plus the calendar
+// overrides timezone, weekStart (0 = Sunday), calendar (gregorian, 4-4-5,
+// 4-5-4, 5-4-4) and fiscalYearEndMonth. Periods are the current day, week,
+// month, quarter and year of the store calendar. includeOrderDates=true adds
+// every order date (unbounded; /api/sales/timeseries and /api/sales/heatmap
+// bucket on the server instead).
+app.get('/api/order-analytics', requireRole('viewer'), async (req, res) => {
+  const basis = req.query.basis === 'net' ? 'net' : 'gross';
+  const includeOrderDates = req.query.includeOrderDates === 'true';
+  const ordersSource = basis === 'net' ? `(${NET_ORDERS_SQL}) orders` : 'orders';
+  const shopId = shopScope(req);
+
+  const { calendar, range, error } = parseAnalyticsQuery(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    console.log(`📊 Fetching ${basis} order analytics (${calendar.timeZone}, ${calendar.calendar})...`);
+
+    const today = localDay(new Date(), calendar.timeZone);
+    const periods = Object.fromEntries(Object.entries(ANALYTICS_PERIODS).map(([key, unit]) =>
+      [key, periodBounds(periodOf(unit, today, calendar), calendar.timeZone)]
+    ));
+
+    const periodParams = Object.values(periods).flatMap(p => [p.startAt, p.endAt]);
+    const periodSelects = Object.keys(periods).flatMap((key, i) => {
+      const inPeriod = `order_date >= $${i * 2 + 4} AND order_date < $${i * 2 + 5}`;
+      return [
+        `SUM(total_price) FILTER (WHERE ${inPeriod}) as sales_${key}`,
+        `COUNT(*) FILTER (WHERE ${inPeriod}) as orders_${key}`
+      ];
+    });
+    const inRange = '($2::timestamptz IS NULL OR order_date >= $2) AND ($3::timestamptz IS NULL OR order_date < $3)';
+
+    // Period bounds are UTC instants of store-local midnights, so order_date compares directly
+    const statsResult = await pool.query(`
+      SELECT 
+        COUNT(*) FILTER (WHERE ${inRange}) as total_orders,
+        SUM(total_price) FILTER (WHERE ${inRange}) as total_revenue,
+        COUNT(DISTINCT customer_id) FILTER (WHERE ${inRange}) as unique_customers,
+        ${periodSelects.join(',\n        ')}
+      FROM ${ordersSource}
+      WHERE order_date IS NOT NULL
+        AND ($1::int IS NULL OR shop_id = $1)
+    `, [shopId, range.from, range.to, ...periodParams]);
+
+    const allOrderDatesResult = includeOrderDates && await pool.query(`
+      SELECT order_date
+      FROM ${ordersSource}
+      WHERE order_date IS NOT NULL
+        AND ($1::int IS NULL OR shop_id = $1)
+        AND ${inRange}
+      ORDER BY order_date DESC
+    `, [shopId, range.from, range.to]);
+
+    // Get recent orders with full details and line items (limited to 50 for display)
+    const ordersResult = await pool.query(`
+      SELECT 
+        o.order_id,
+        o.order_number,
+        o.total_price,
+        o.order_date,
+        o.customer_id,
+        o.financial_status,
+        o.fulfillment_status,
+        o.total_refunded,
+        o.cancelled_at,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'variant_id', oi.variant_id,
+              'product_id', oi.product_id,
+              'title', oi.title,
+              'variant_title', oi.variant_title,
+              'quantity', oi.quantity,
+              'price', oi.price
+            ) ORDER BY oi.cart_position
+          ) FILTER (WHERE oi.id IS NOT NULL),
+          '[]'
+        ) as line_items
+      FROM orders o
+      LEFT JOIN order_items oi ON o.order_id = oi.order_id
+      WHERE o.order_date IS NOT NULL
+        AND ($1::int IS NULL OR o.shop_id = $1)
+      GROUP BY o.order_id, o.order_number, o.total_price, o.order_date, o.customer_id, o.financial_status, o.fulfillment_status, o.total_refunded, o.cancelled_at
+      ORDER BY o.order_date DESC
+      LIMIT 50
+    `, [shopId]);
+
+    const stats = statsResult.rows[0];
+    
+    console.log(`📊 Analytics calculated (${calendar.timeZone}):`);
+    console.log('   Today:', parseFloat(stats.sales_today || 0), `(${stats.orders_today} orders)`);
+    console.log('   Week:', parseFloat(stats.sales_week || 0), `(${stats.orders_week} orders)`);
+    console.log('   Month:', parseFloat(stats.sales_month || 0), `(${stats.orders_month} orders)`);
+
+    // Format orders for frontend
+    const formattedOrders = ordersResult.rows.map(order => ({
+      id: order.order_id,
+      order_number: order.order_number,
+      created_at: order.order_date,
+      total_price: order.total_price,
+      customer: order.customer_id ? { id: order.customer_id } : null,
+      line_items: order.line_items,
+      financial_status: order.financial_status || 'paid',
+      fulfillment_status: order.fulfillment_status,
+      total_refunded: order.total_refunded,
+      cancelled_at: order.cancelled_at
+    }));
+
+    res.json({
+      basis,
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      totalOrders: parseInt(stats.total_orders),
+      totalRevenue: parseFloat(stats.total_revenue || 0),
+      uniqueCustomers: parseInt(stats.unique_customers),
+      ...formatCalendar(calendar),
+      range: { from: range.from, to: range.to },
+      periods: Object.fromEntries(Object.entries(periods).map(([key, p]) =>
+        [key, { label: p.label, start: p.start, end: addDays(p.end, -1) }]
+      )),
+      salesByPeriod: Object.fromEntries(Object.keys(periods).map(key => [key, parseFloat(stats[`sales_${key}`] || 0)])),
+      ordersByPeriod: Object.fromEntries(Object.keys(periods).map(key => [key, parseInt(stats[`orders_${key}`])])),
+      recentOrders: formattedOrders,
+      ...(includeOrderDates && { allOrderDates: allOrderDatesResult.rows.map(row => row.order_date) })
+    });
+
+  } catch (error) {
+    console.error('❌ Order analytics error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const NET_SALES_COLUMNS = ['gross_units', 'gross_revenue', 'net_units', 'net_revenue', 'refunded_units', 'refunded_revenue', 'cancelled_units'];
+
+// Gross vs net sales, refunds and return rate
+// Query: groupBy=variant|day|week|month|quarter|year (default variant), from/to
+// (store-local dates, to inclusive, or timestamps), limit, shop, and the
+// calendar overrides taken by /api/order-analytics
+app.get('/api/sales/net', requireRole('viewer'), async (req, res) => {
+  const groupBy = req.query.groupBy || 'variant';
+  const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+
+  if (!['variant', 'day', 'week', 'month', 'quarter', 'year'].includes(groupBy)) {
+    return res.status(400).json({ error: 'groupBy must be one of: variant, day, week, month, quarter, year' });
+  }
+
+  const { calendar, range, error } = parseAnalyticsQuery(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Periods are summed per store-local day here, then rolled up into the
+  // store calendar's weeks/months (which may be fiscal) below
+  const byPeriod = groupBy !== 'variant';
+  const groupColumns = byPeriod
+    ? `to_char((order_date AT TIME ZONE $5)::date, 'YYYY-MM-DD') as day`
+    : 'variant_id, MAX(title) as title, MAX(variant_title) as variant_title';
+  const groupKey = byPeriod ? 'day' : 'variant_id';
+  const orderBy = byPeriod ? 'day' : 'net_revenue DESC';
+
+  try {
+    console.log(`↩️ Fetching net sales by ${groupBy}...`);
+
+    const result = await pool.query(`
+      SELECT
+        ${groupColumns},
+        ${NET_SALES_COLUMNS.map(c => `SUM(${c}) as ${c}`).join(',\n        ')}
+      FROM (${LINE_SALES_SQL}) ls
+      WHERE variant_id IS NOT NULL
+        AND ($1::timestamptz IS NULL OR order_date >= $1)
+        AND ($2::timestamptz IS NULL OR order_date < $2)
+        AND ($4::int IS NULL OR shop_id = $4)
+      GROUP BY ${groupKey}
+      ORDER BY ${orderBy}
+      LIMIT $3
+    `, [range.from, range.to, byPeriod ? null : limit, shopScope(req), ...(byPeriod ? [calendar.timeZone] : [])]);
+
+    const grouped = byPeriod
+      ? rollUpDays(result.rows, groupBy, calendar, NET_SALES_COLUMNS).slice(0, limit)
+      : result.rows;
+
+    const rows = grouped.map(r => {
+      const grossUnits = parseInt(r.gross_units || 0);
+      const cancelledUnits = parseInt(r.cancelled_units || 0);
+      const refundedUnits = parseInt(r.refunded_units || 0);
+
+      return {
+        ...(groupBy === 'variant'
+          ? { variantId: r.variant_id, name: r.variant_title ? `${r.title} - ${r.variant_title}` : r.title }
+          : { period: r.period, label: r.label }),
+        grossUnits,
+        grossRevenue: parseFloat(r.gross_revenue || 0),
+        netUnits: parseInt(r.net_units || 0),
+        netRevenue: parseFloat(r.net_revenue || 0),
+        refundedUnits,
+        refundedRevenue: parseFloat(r.refunded_revenue || 0),
+        cancelledUnits,
+        // Share of units from non-cancelled orders that came back
+        returnRate: grossUnits - cancelledUnits > 0
+          ? Math.round((refundedUnits / (grossUnits - cancelledUnits)) * 1000) / 1000
+          : 0
+      };
+    });
+
+    const totals = rows.reduce((t, r) => ({
+      grossUnits: t.grossUnits + r.grossUnits,
+      grossRevenue: t.grossRevenue + r.grossRevenue,
+      netUnits: t.netUnits + r.netUnits,
+      netRevenue: t.netRevenue + r.netRevenue,
+      refundedUnits: t.refundedUnits + r.refundedUnits,
+      cancelledUnits: t.cancelledUnits + r.cancelledUnits
+    }), { grossUnits: 0, grossRevenue: 0, netUnits: 0, netRevenue: 0, refundedUnits: 0, cancelledUnits: 0 });
+
+    res.json({
+      groupBy,
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      ...formatCalendar(calendar),
+      from: range.from,
+      to: range.to,
+      rows,
+      totals: {
+        ...totals,
+        returnRate: totals.grossUnits - totals.cancelledUnits > 0
+          ? Math.round((totals.refundedUnits / (totals.grossUnits - totals.cancelledUnits)) * 1000) / 1000
+          : 0
+      }
+    });
+  } catch (error) {
+    console.error('❌ Net sales error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================================
+// 📈 SALES TIME SERIES - bucketed sales, heatmaps and period comparisons
+// Revenue and units are line-level (quantity × price) so product, vendor
+// and tag filters apply cleanly; order-level shipping, tax and discounts
+// aren't included. Buckets follow the store calendar (see parseAnalyticsQuery).
+// ==========================================================
+
+const TIMESERIES_INTERVALS = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+const MAX_TIMESERIES_BUCKETS = 2000;
+
+// Default window when from is omitted, in days back from today
+const TIMESERIES_DEFAULT_DAYS = { hour: 7, day: 30, week: 182, month: 365, quarter: 730, year: 1826 };
+const HEATMAP_DEFAULT_DAYS = 90;
+
+// compare=previous,lastYear
+const SALES_COMPARISONS = ['previous', 'lastYear'];
+
+// productId, vendor and tag filters, each a comma-separated list
+// (vendor and tag match case-insensitively)
+function parseSalesFilters(query) {
+  const list = (value, lower) => {
+    const values = String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    return values.length > 0 ? values.map(v => (lower ? v.toLowerCase() : v)) : null;
+  };
+
+  return { productIds: list(query.productId), vendors: list(query.vendor, true), tags: list(query.tag, true) };
+}
+
+// Store-local days [start, end) for a request, filling in defaults
+function salesDays(range, cal, defaultDays, unit) {
+  const today = localDay(new Date(), cal.timeZone);
+  const end = range.to ? addDays(localDay(new Date(range.to.getTime() - 1), cal.timeZone), 1) : addDays(today, 1);
+
+  if (range.from) {
+    return { start: localDay(range.from, cal.timeZone), end };
+  }
+
+  // Default windows start on a period boundary so the first bucket is whole
+  const start = addDays(end, -defaultDays);
+  return { start: unit && unit !== 'hour' ? periodOf(unit, start, cal).start : start, end };
+}
+
+// Sales per store-local day (and hour of day when byHour) between two instants
+async function querySalesByDay({ from, to, shopId, timeZone, basis, filters, byHour = false }) {
+  const result = await pool.query(`
+    SELECT
+      to_char((ls.order_date AT TIME ZONE $4)::date, 'YYYY-MM-DD') as day,
+      ${byHour ? 'EXTRACT(HOUR FROM ls.order_date AT TIME ZONE $4)::int' : 'NULL::int'} as hour,
+      COUNT(DISTINCT ls.order_id) ${basis === 'net' ? 'FILTER (WHERE ls.cancelled_units = 0)' : ''} as orders,
+      COALESCE(SUM(ls.${basis}_units), 0) as units,
+      COALESCE(SUM(ls.${basis}_revenue), 0) as revenue
+    FROM (${LINE_SALES_SQL}) ls
+    LEFT JOIN products p ON p.variant_id = ls.variant_id
+    WHERE ls.order_date >= $1 AND ls.order_date < $2
+      AND ($3::int IS NULL OR ls.shop_id = $3)
+      AND ($5::text[] IS NULL OR p.product_id::text = ANY($5))
+      AND ($6::text[] IS NULL OR LOWER(p.vendor) = ANY($6))
+      AND ($7::text[] IS NULL OR EXISTS (
+        SELECT 1 FROM unnest(string_to_array(p.tags, ',')) tag WHERE LOWER(TRIM(tag)) = ANY($7)
+      ))
+    GROUP BY day, hour
+  `, [from, to, shopId, timeZone, filters.productIds, filters.vendors, filters.tags]);
+
+  return result.rows.map(r => ({
+    day: r.day,
+    hour: r.hour,
+    orders: parseInt(r.orders),
+    units: parseInt(r.units),
+    revenue: parseFloat(r.revenue)
+  }));
+}
+
+function hourLabel(day, hour) {
+  return `${day}T${String(hour).padStart(2, '0')}:00`;
+}
+
+// Zero-filled buckets for days [start, end), with each row added to its bucket
+function buildSalesSeries(rows, interval, { start, end }, cal) {
+  const buckets = new Map();
+
+  if (interval === 'hour') {
+    for (let day = start; day < end; day = addDays(day, 1)) {
+      for (let hour = 0; hour < 24; hour++) {
+        const label = hourLabel(day, hour);
+        buckets.set(label, { period: label, label, orders: 0, units: 0, revenue: 0 });
+      }
+    }
+  } else {
+    periodsBetween(interval, start, end, cal).forEach(p => {
+      buckets.set(p.start, { period: p.start, label: p.label, orders: 0, units: 0, revenue: 0 });
+    });
+  }
+
+  rows.forEach(r => {
+    const bucket = buckets.get(interval === 'hour' ? hourLabel(r.day, r.hour) : periodOf(interval, r.day, cal).start);
+    if (!bucket) return;
+    bucket.orders += r.orders;
+    bucket.units += r.units;
+    bucket.revenue += r.revenue;
+  });
+
+  return [...buckets.values()].map(b => ({ ...b, revenue: Math.round(b.revenue * 100) / 100 }));
+}
+
+function summarizeSales(buckets) {
+  const totals = buckets.reduce((t, b) => ({
+    orders: t.orders + b.orders,
+    units: t.units + b.units,
+    revenue: t.revenue + b.revenue
+  }), { orders: 0, units: 0, revenue: 0 });
+
+  return {
+    ...totals,
+    revenue: Math.round(totals.revenue * 100) / 100,
+    averageOrderValue: totals.orders > 0 ? Math.round((totals.revenue / totals.orders) * 100) / 100 : 0
+  };
+}
+
+// Percent change from `prior`, one decimal place; null when there's nothing to compare to
+function percentChange(current, prior) {
+  return prior > 0 ? Math.round(((current - prior) / prior) * 1000) / 10 : null;
+}
+
+function salesChange(current, prior) {
+  return {
+    orders: percentChange(current.orders, prior.orders),
+    units: percentChange(current.units, prior.units),
+    revenue: percentChange(current.revenue, prior.revenue)
+  };
+}
+
+// Sales over time, bucketed by hour, day, week, month, quarter or year
+// Query: interval (default day), from/to (store-local dates, to inclusive, or
+// timestamps; default window depends on interval), basis=gross|net,
+// productId/vendor/tag filters, compare=previous,lastYear, shop, and the
+// calendar overrides taken by /api/order-analytics.
+// Comparison buckets line up with the current ones by position.
+app.get('/api/sales/timeseries', requireRole('viewer'), async (req, res) => {
+  const interval = req.query.interval || 'day';
+  const basis = req.query.basis === 'net' ? 'net' : 'gross';
+  const compare = String(req.query.compare || '').split(',').map(c => c.trim()).filter(Boolean);
+
+  if (!TIMESERIES_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `interval must be one of: ${TIMESERIES_INTERVALS.join(', ')}` });
+  }
+  const unknown = compare.filter(c => !SALES_COMPARISONS.includes(c));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `compare must be any of: ${SALES_COMPARISONS.join(', ')}` });
+  }
+
+  const { calendar, range, error } = parseAnalyticsQuery(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const days = salesDays(range, calendar, TIMESERIES_DEFAULT_DAYS[interval], interval);
+  const bucketCount = interval === 'hour'
+    ? daysBetween(days.start, days.end) * 24
+    : periodsBetween(interval, days.start, days.end, calendar).length;
+
+  if (bucketCount > MAX_TIMESERIES_BUCKETS) {
+    return res.status(400).json({ error: `Range has ${bucketCount} ${interval} buckets (max ${MAX_TIMESERIES_BUCKETS}); narrow from/to or use a longer interval` });
+  }
+
+  const filters = parseSalesFilters(req.query);
+  const shopId = shopScope(req);
+
+  try {
+    console.log(`📈 Fetching ${basis} sales by ${interval} (${days.start} to ${addDays(days.end, -1)})...`);
+
+    // Explicit timestamps bound the current range exactly; comparisons use whole days
+    const ranges = [
+      { key: 'current', days, from: range.from || startOfDay(days.start, calendar.timeZone), to: range.to || startOfDay(days.end, calendar.timeZone) },
+      ...compare.map(kind => {
+        const shifted = comparisonRange(kind, interval, days.start, days.end, calendar);
+        return {
+          key: kind,
+          days: shifted,
+          from: startOfDay(shifted.start, calendar.timeZone),
+          to: startOfDay(shifted.end, calendar.timeZone)
+        };
+      })
+    ];
+
+    const results = await Promise.all(ranges.map(r => querySalesByDay({
+      from: r.from,
+      to: r.to,
+      shopId,
+      timeZone: calendar.timeZone,
+      basis,
+      filters,
+      byHour: interval === 'hour'
+    })));
+
+    const [current, ...comparisons] = ranges.map((r, i) => ({
+      ...r,
+      series: buildSalesSeries(results[i], interval, r.days, calendar)
+    }));
+    const totals = summarizeSales(current.series);
+
+    const series = current.series.map((bucket, i) => ({
+      ...bucket,
+      ...(comparisons.length > 0 && {
+        compare: Object.fromEntries(comparisons.map(c => {
+          const prior = c.series[i];
+          return [c.key, prior ? { ...prior, change: salesChange(bucket, prior) } : null];
+        }))
+      })
+    }));
+
+    res.json({
+      interval,
+      basis,
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      ...formatCalendar(calendar),
+      from: current.from,
+      to: current.to,
+      filters,
+      series,
+      totals,
+      comparisons: Object.fromEntries(comparisons.map(c => {
+        const priorTotals = summarizeSales(c.series);
+        return [c.key, { from: c.from, to: c.to, totals: priorTotals, change: salesChange(totals, priorTotals) }];
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Sales time series error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Day-of-week × hour-of-day sales in the store timezone ("when do people buy")
+// Query: from/to (default last 90 days), basis, productId/vendor/tag, shop and
+// calendar overrides. Rows start on the calendar's week start. `occurrences`
+// is how many of each weekday the range covers, for per-day averages.
+app.get('/api/sales/heatmap', requireRole('viewer'), async (req, res) => {
+  const basis = req.query.basis === 'net' ? 'net' : 'gross';
+
+  const { calendar, range, error } = parseAnalyticsQuery(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const days = salesDays(range, calendar, HEATMAP_DEFAULT_DAYS);
+  const filters = parseSalesFilters(req.query);
+
+  try {
+    console.log(`📈 Fetching ${basis} sales heatmap (${days.start} to ${addDays(days.end, -1)})...`);
+
+    const rows = await querySalesByDay({
+      from: range.from || startOfDay(days.start, calendar.timeZone),
+      to: range.to || startOfDay(days.end, calendar.timeZone),
+      shopId: shopScope(req),
+      timeZone: calendar.timeZone,
+      basis,
+      filters,
+      byHour: true
+    });
+
+    const occurrences = Array(7).fill(0);
+    for (let day = days.start; day < days.end; day = addDays(day, 1)) {
+      occurrences[new Date(`${day}T00:00:00Z`).getUTCDay()]++;
+    }
+
+    const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ orders: 0, units: 0, revenue: 0 })));
+    rows.forEach(r => {
+      const cell = cells[new Date(`${r.day}T00:00:00Z`).getUTCDay()][r.hour];
+      cell.orders += r.orders;
+      cell.units += r.units;
+      cell.revenue += r.revenue;
+    });
+
+    const heatmap = Array.from({ length: 7 }, (_, i) => {
+      const dayOfWeek = (calendar.weekStart + i) % 7;
+      return {
+        dayOfWeek,
+        day: WEEKDAYS[dayOfWeek],
+        occurrences: occurrences[dayOfWeek],
+        hours: cells[dayOfWeek].map((c, hour) => ({ hour, ...c, revenue: Math.round(c.revenue * 100) / 100 }))
+      };
+    });
+
+    const peak = heatmap
+      .flatMap(d => d.hours.map(h => ({ dayOfWeek: d.dayOfWeek, day: d.day, ...h })))
+      .reduce((best, h) => (h.orders > best.orders ? h : best), { orders: 0 });
+
+    res.json({
+      basis,
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      ...formatCalendar(calendar),
+      from: range.from || startOfDay(days.start, calendar.timeZone),
+      to: range.to || startOfDay(days.end, calendar.timeZone),
+      filters,
+      heatmap,
+      peak: peak.orders > 0 ? peak : null
+    });
+  } catch (error) {
+    console.error('❌ Sales heatmap error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Default store timezone; shops with their own (see getShopCalendar) use that
+const STORE_TIMEZONE = process.env.STORE_TIMEZONE || 'America/Denver';
+
+// Trailing windows ending now, aligned to local midnight: "daily" is today so far,
+// "weekly" is today plus the previous 6 days, and so on.
+const SALES_WINDOWS = [
+  { column: 'daily_sales', days: 1 },
+  { column: 'weekly_sales', days: 7 },
+  { column: 'monthly_sales', days: 30 },
+  { column: 'quarterly_sales', days: 90 },
+  { column: 'yearly_sales', days: 365 }
+];
+
+// Recompute sales_data for every variant in one atomic swap. Windows are
+// aligned to local midnight in each shop's timezone.
+async function refreshSalesData() {
+  console.log(`📈 Refreshing sales velocity (default ${STORE_TIMEZONE})...`);
+
+  const windowColumns = SALES_WINDOWS.flatMap(w => [w.column, `net_${w.column}`]);
+  const windowSelects = SALES_WINDOWS.flatMap(w => [
+    `COALESCE(SUM(ls.gross_units) FILTER (WHERE ls.order_date >= b.today_start - INTERVAL '${w.days - 1} days'), 0)`,
+    `COALESCE(SUM(ls.net_units) FILTER (WHERE ls.order_date >= b.today_start - INTERVAL '${w.days - 1} days'), 0)`
+  ]);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM sales_data');
+
+    const result = await client.query(`
+      WITH zones AS (
+        SELECT shop_id, COALESCE(timezone, shopify_timezone, $1) as timezone FROM shops
+      ),
+      bounds AS (
+        SELECT shop_id, DATE_TRUNC('day', NOW() AT TIME ZONE timezone) AT TIME ZONE timezone as today_start FROM zones
+        UNION ALL
+        SELECT NULL, DATE_TRUNC('day', NOW() AT TIME ZONE $1) AT TIME ZONE $1
+      )
+      INSERT INTO sales_data (
+        variant_id,
+        ${windowColumns.join(',\n        ')},
+        all_time_sales,
+        net_all_time_sales,
+        refunded_units,
+        cancelled_units,
+        last_updated,
+        shop_id
+      )
+      SELECT
+        ls.variant_id,
+        ${windowSelects.join(',\n        ')},
+        SUM(ls.gross_units),
+        SUM(ls.net_units),
+        SUM(ls.refunded_units),
+        SUM(ls.cancelled_units),
+        NOW(),
+        MAX(ls.shop_id)
+      FROM (${LINE_SALES_SQL}) ls
+      JOIN bounds b ON b.shop_id IS NOT DISTINCT FROM ls.shop_id
+      WHERE ls.variant_id IS NOT NULL
+        AND ls.order_date IS NOT NULL
+      GROUP BY ls.variant_id
+    `, [STORE_TIMEZONE]);
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Sales velocity refreshed for ${result.rowCount} variants`);
+    return { variants: result.rowCount, defaultTimezone: STORE_TIMEZONE };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Sales velocity refresh error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Queue a sales_data recompute
+app.post('/api/sales/velocity/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const queued = await enqueueJob('velocity', { createdBy: req.user.email });
+    sendQueuedJob(res, queued, 'Sales velocity refresh');
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Daily net units per variant in the store timezone, ending yesterday (today is partial)
+async function getDailyUnits(variantIds, historyDays, timeZone) {
+  const end = addDays(localDay(new Date(), timeZone), -1);
+  const start = addDays(end, -(historyDays - 1));
+
+  const result = await pool.query(`
+    SELECT
+      variant_id,
+      to_char((order_date AT TIME ZONE $1)::date, 'YYYY-MM-DD') as day,
+      SUM(net_units) as units
+    FROM (${LINE_SALES_SQL}) ls
+    WHERE variant_id = ANY($2)
+      AND (order_date AT TIME ZONE $1)::date BETWEEN $3::date AND $4::date
+    GROUP BY variant_id, day
+  `, [timeZone, variantIds, start, end]);
+
+  const rowsByVariant = {};
+  result.rows.forEach(r => {
+    (rowsByVariant[r.variant_id] ||= []).push({ day: r.day, units: parseInt(r.units || 0) });
+  });
+
+  // Start each series at its first sale so new products don't carry years of zeros
+  const series = {};
+  variantIds.forEach(id => {
+    const rows = rowsByVariant[id] || [];
+    const firstDay = rows.reduce((min, r) => (r.day < min ? r.day : min), end);
+    series[id] = buildDailySeries(rows, rows.length > 0 ? firstDay : end, end);
+  });
+
+  return series;
+}
+
+// Forecast top sellers. Query: days (horizon, default 28), limit (default 50), history (days, default 730), shop
+app.get('/api/forecast', requireRole('viewer'), async (req, res) => {
+  const horizon = Math.min(parseInt(req.query.days) || 28, 365);
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const historyDays = Math.min(parseInt(req.query.history) || 730, 1095);
+
+  try {
+    console.log(`🔮 Forecasting top ${limit} variants for ${horizon} days...`);
+
+    const topResult = await pool.query(`
+      SELECT sd.variant_id, p.title, p.variant_title
+      FROM sales_data sd
+      LEFT JOIN products p ON p.variant_id = sd.variant_id
+      WHERE sd.net_yearly_sales > 0
+        AND ($2::int IS NULL OR sd.shop_id = $2)
+      ORDER BY sd.net_quarterly_sales DESC, sd.net_yearly_sales DESC
+      LIMIT $1
+    `, [limit, shopScope(req)]);
+
+    const variantIds = topResult.rows.map(r => r.variant_id);
+    const { timeZone } = getShopCalendar(req.shop);
+    const seriesByVariant = await getDailyUnits(variantIds, historyDays, timeZone);
+
+    const forecasts = topResult.rows.map(r => {
+      const result = forecastDemand(seriesByVariant[r.variant_id], { horizon });
+
+      return {
+        variantId: r.variant_id,
+        name: r.title ? (r.variant_title ? `${r.title} - ${r.variant_title}` : r.title) : null,
+        model: result.model,
+        forecastUnits: result.totalUnits,
+        avgDailyUnits: Math.round((result.totalUnits / horizon) * 100) / 100,
+        backtest: result.backtest
+      };
+    });
+
+    console.log(`✅ Forecast ${forecasts.length} variants`);
+
+    res.json({
+      horizonDays: horizon,
+      timezone: timeZone,
+      forecasts,
+      summary: {
+        variants: forecasts.length,
+        trust: ['high', 'medium', 'low', 'unknown'].reduce((counts, level) => ({
+          ...counts,
+          [level]: forecasts.filter(f => (f.backtest?.trust || 'unknown') === level).length
+        }), {})
+      }
+    });
+  } catch (error) {
+    console.error('❌ Forecast error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Day-by-day forecast with 80%/95% intervals for one variant
+app.get('/api/forecast/:variantId', requireRole('viewer'), async (req, res) => {
+  const horizon = Math.min(parseInt(req.query.days) || 28, 365);
+  const historyDays = Math.min(parseInt(req.query.history) || 730, 1095);
+
+  try {
+    const { timeZone } = getShopCalendar(req.shop);
+    const seriesByVariant = await getDailyUnits([req.params.variantId], historyDays, timeZone);
+    const series = seriesByVariant[req.params.variantId];
+    const result = forecastDemand(series, { horizon });
+
+    res.json({
+      variantId: req.params.variantId,
+      horizonDays: horizon,
+      timezone: timeZone,
+      ...result,
+      history: req.query.includeHistory === 'true' ? series : undefined
+    });
+  } catch (error) {
+    console.error('❌ Forecast error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Correlation thresholds - env defaults, overridable per request
+const correlationSettings = {
+  minCount: parseInt(process.env.CORRELATION_MIN_COUNT || '2'),
+  minSupport: parseFloat(process.env.CORRELATION_MIN_SUPPORT || '0'),
+  minConfidence: parseFloat(process.env.CORRELATION_MIN_CONFIDENCE || '0'),
+  minLift: parseFloat(process.env.CORRELATION_MIN_LIFT || '0')
+};
+
+// Merge request overrides into the configured thresholds
+function getCorrelationThresholds(overrides = {}) {
+  const pick = (value, fallback, parse) => (value != null && value !== '' && !isNaN(parse(value)) ? parse(value) : fallback);
+
+  return {
+    minCount: pick(overrides.minCount, correlationSettings.minCount, parseInt),
+    minSupport: pick(overrides.minSupport, correlationSettings.minSupport, parseFloat),
+    minConfidence: pick(overrides.minConfidence, correlationSettings.minConfidence, parseFloat),
+    minLift: pick(overrides.minLift, correlationSettings.minLift, parseFloat)
+  };
+}
+
+// SQL computing support, confidence (both directions) and lift per variant pair.
+// A basket is a distinct (order, variant); from/to restrict by order_date.
+// Support is relative to the orders of the pair's own shop.
+function buildCorrelationMetricsQuery({ from = null, to = null, shopId = null, ...overrides } = {}) {
+  const t = getCorrelationThresholds(overrides);
+
+  return {
+    text: `
+      WITH baskets AS (
+        SELECT DISTINCT oi.order_id, oi.variant_id, o.shop_id
+        FROM order_items oi
+        JOIN orders o ON o.order_id = oi.order_id
+        WHERE oi.variant_id IS NOT NULL
+          AND ($1::timestamptz IS NULL OR o.order_date >= $1)
+          AND ($2::timestamptz IS NULL OR o.order_date < $2)
+          AND ($7::int IS NULL OR o.shop_id = $7)
+      ),
+      total AS (
+        SELECT shop_id, COUNT(DISTINCT order_id)::numeric as order_count
+        FROM baskets
+        GROUP BY shop_id
+      ),
+      item_counts AS (
+        SELECT variant_id, MAX(shop_id) as shop_id, COUNT(*)::numeric as order_count
+        FROM baskets
+        GROUP BY variant_id
+      ),
+      pair_counts AS (
+        SELECT b1.variant_id as variant_a_id, b2.variant_id as variant_b_id, COUNT(*) as co_purchase_count
+        FROM baskets b1
+        JOIN baskets b2 ON b1.order_id = b2.order_id AND b1.variant_id < b2.variant_id
+        GROUP BY b1.variant_id, b2.variant_id
+        HAVING COUNT(*) >= $3
+      ),
+      metrics AS (
+        SELECT
+          pc.variant_a_id,
+          pc.variant_b_id,
+          ia.shop_id,
+          pc.co_purchase_count,
+          ia.order_count as order_count_a,
+          ib.order_count as order_count_b,
+          pc.co_purchase_count / t.order_count as support,
+          pc.co_purchase_count / ia.order_count as confidence_a_to_b,
+          pc.co_purchase_count / ib.order_count as confidence_b_to_a,
+          (pc.co_purchase_count * t.order_count) / (ia.order_count * ib.order_count) as lift
+        FROM pair_counts pc
+        JOIN item_counts ia ON ia.variant_id = pc.variant_a_id
+        JOIN item_counts ib ON ib.variant_id = pc.variant_b_id
+        JOIN total t ON t.shop_id IS NOT DISTINCT FROM ia.shop_id
+      )
+      SELECT * FROM metrics
+      WHERE support >= $4
+        AND GREATEST(confidence_a_to_b, confidence_b_to_a) >= $5
+        AND lift >= $6
+    `,
+    values: [from, to, t.minCount, t.minSupport, t.minConfidence, t.minLift, shopId],
+    thresholds: t
+  };
+}
+
+// Correlations are maintained from three count tables:
+//   correlation_baskets     - distinct variants per order, as last counted
+//   correlation_item_counts - orders containing each variant
+//   correlation_pair_counts - orders containing each variant pair
+// so a sync only has to apply the delta for the orders it touched.
+// Variant ids belong to one shop, so every row carries its shop_id.
+
+// Recount everything from order_items
+async function rebuildCorrelationCounts(client) {
+  await client.query('DELETE FROM correlation_pair_counts');
+  await client.query('DELETE FROM correlation_item_counts');
+  await client.query('DELETE FROM correlation_baskets');
+
+  await client.query(`
+    INSERT INTO correlation_baskets (order_id, variant_ids, shop_id)
+    SELECT order_id, array_agg(DISTINCT variant_id ORDER BY variant_id), MAX(shop_id)
+    FROM order_items
+    WHERE variant_id IS NOT NULL
+    GROUP BY order_id
+  `);
+
+  await client.query(`
+    INSERT INTO correlation_item_counts (variant_id, order_count, shop_id)
+    SELECT v, COUNT(*), MAX(shop_id)
+    FROM correlation_baskets, unnest(variant_ids) v
+    GROUP BY v
+  `);
+
+  await client.query(`
+    INSERT INTO correlation_pair_counts (variant_a_id, variant_b_id, co_purchase_count, shop_id)
+    SELECT a, b, COUNT(*), MAX(shop_id)
+    FROM correlation_baskets, unnest(variant_ids) a, unnest(variant_ids) b
+    WHERE a < b
+    GROUP BY a, b
+  `);
+}
+
+// Subtract the previously counted baskets for these orders and add the current ones.
+// Returns the shops (0 for shop-less rows) whose item or pair counts changed.
+async function applyCorrelationDelta(client, orderIds) {
+  await client.query(`
+    CREATE TEMP TABLE basket_delta (
+      order_id BIGINT,
+      variant_id TEXT,
+      sign INTEGER,
+      shop_id INTEGER
+    ) ON COMMIT DROP
+  `);
+
+  await client.query(`
+    INSERT INTO basket_delta (order_id, variant_id, sign, shop_id)
+    SELECT order_id, unnest(variant_ids), -1, shop_id
+    FROM correlation_baskets
+    WHERE order_id = ANY($1)
+  `, [orderIds]);
+
+  await client.query(`
+    INSERT INTO basket_delta (order_id, variant_id, sign, shop_id)
+    SELECT DISTINCT order_id, variant_id, 1, shop_id
+    FROM order_items
+    WHERE order_id = ANY($1) AND variant_id IS NOT NULL
+  `, [orderIds]);
+
+  await client.query(`
+    INSERT INTO correlation_item_counts (variant_id, order_count, shop_id)
+    SELECT variant_id, SUM(sign), MAX(shop_id)
+    FROM basket_delta
+    GROUP BY variant_id
+    HAVING SUM(sign) <> 0
+    ON CONFLICT (variant_id) DO UPDATE SET
+      order_count = correlation_item_counts.order_count + EXCLUDED.order_count
+  `);
+
+  await client.query(`
+    INSERT INTO correlation_pair_counts (variant_a_id, variant_b_id, co_purchase_count, shop_id)
+    SELECT d1.variant_id, d2.variant_id, SUM(d1.sign), MAX(d1.shop_id)
+    FROM basket_delta d1
+    JOIN basket_delta d2
+      ON d1.order_id = d2.order_id AND d1.sign = d2.sign AND d1.variant_id < d2.variant_id
+    GROUP BY d1.variant_id, d2.variant_id
+    HAVING SUM(d1.sign) <> 0
+    ON CONFLICT (variant_a_id, variant_b_id) DO UPDATE SET
+      co_purchase_count = correlation_pair_counts.co_purchase_count + EXCLUDED.co_purchase_count
+  `);
+
+  await client.query('DELETE FROM correlation_item_counts WHERE order_count <= 0');
+  await client.query('DELETE FROM correlation_pair_counts WHERE co_purchase_count <= 0');
+
+  // A re-synced order with the same lines nets to zero and changes nothing
+  const changed = await client.query(`
+    WITH changed_variants AS (
+      SELECT variant_id FROM basket_delta GROUP BY variant_id HAVING SUM(sign) <> 0
+      UNION
+      SELECT unnest(ARRAY[d1.variant_id, d2.variant_id])
+      FROM basket_delta d1
+      JOIN basket_delta d2
+        ON d1.order_id = d2.order_id AND d1.sign = d2.sign AND d1.variant_id < d2.variant_id
+      GROUP BY d1.variant_id, d2.variant_id
+      HAVING SUM(d1.sign) <> 0
+    )
+    SELECT DISTINCT COALESCE(d.shop_id, 0) as shop_id
+    FROM basket_delta d
+    JOIN changed_variants c ON c.variant_id = d.variant_id
+  `);
+
+  await client.query('DELETE FROM correlation_baskets WHERE order_id = ANY($1)', [orderIds]);
+  await client.query(`
+    INSERT INTO correlation_baskets (order_id, variant_ids, shop_id)
+    SELECT order_id, array_agg(variant_id ORDER BY variant_id), MAX(shop_id)
+    FROM basket_delta
+    WHERE sign = 1
+    GROUP BY order_id
+  `);
+
+  return changed.rows.map(r => r.shop_id);
+}
+
+// Refresh product_correlations from the count tables: upsert qualifying pairs
+// and delete the ones that no longer qualify. With shopIds (0 = shop-less)
+// only those shops are republished; a shop's order total feeds every pair's
+// support and lift, so all of its pairs are recomputed. Runs inside the
+// caller's transaction, so readers keep seeing the previous rows until
+// COMMIT. Returns { upserted, removed }.
+async function publishCorrelations(client, thresholds, shopIds = null) {
+  const upserted = await client.query(`
+    WITH total AS (
+      SELECT shop_id, COUNT(*)::numeric as order_count
+      FROM correlation_baskets
+      GROUP BY shop_id
+    ),
+    metrics AS (
+      SELECT
+        pc.variant_a_id,
+        pc.variant_b_id,
+        pc.shop_id,
+        pc.co_purchase_count,
+        ia.order_count as order_count_a,
+        ib.order_count as order_count_b,
+        pc.co_purchase_count / t.order_count as support,
+        pc.co_purchase_count::numeric / ia.order_count as confidence_a_to_b,
+        pc.co_purchase_count::numeric / ib.order_count as confidence_b_to_a,
+        (pc.co_purchase_count * t.order_count) / (ia.order_count::numeric * ib.order_count) as lift
+      FROM correlation_pair_counts pc
+      JOIN correlation_item_counts ia ON ia.variant_id = pc.variant_a_id
+      JOIN correlation_item_counts ib ON ib.variant_id = pc.variant_b_id
+      JOIN total t ON t.shop_id IS NOT DISTINCT FROM pc.shop_id
+      WHERE pc.co_purchase_count >= $1
+        AND ($5::int[] IS NULL OR COALESCE(pc.shop_id, 0) = ANY($5))
+    )
+    INSERT INTO product_correlations (
+      variant_a_id, variant_b_id, co_purchase_count, order_count_a, order_count_b,
+      support, confidence_a_to_b, confidence_b_to_a, lift, correlation_score, last_updated, shop_id
+    )
+    SELECT
+      variant_a_id, variant_b_id, co_purchase_count, order_count_a, order_count_b,
+      support, confidence_a_to_b, confidence_b_to_a, lift, lift, NOW(), shop_id
+    FROM metrics
+    WHERE support >= $2
+      AND GREATEST(confidence_a_to_b, confidence_b_to_a) >= $3
+      AND lift >= $4
+    ON CONFLICT (variant_a_id, variant_b_id) DO UPDATE SET
+      co_purchase_count = EXCLUDED.co_purchase_count,
+      order_count_a = EXCLUDED.order_count_a,
+      order_count_b = EXCLUDED.order_count_b,
+      support = EXCLUDED.support,
+      confidence_a_to_b = EXCLUDED.confidence_a_to_b,
+      confidence_b_to_a = EXCLUDED.confidence_b_to_a,
+      lift = EXCLUDED.lift,
+      correlation_score = EXCLUDED.correlation_score,
+      last_updated = EXCLUDED.last_updated,
+      shop_id = EXCLUDED.shop_id
+  `, [thresholds.minCount, thresholds.minSupport, thresholds.minConfidence, thresholds.minLift, shopIds]);
+
+  // NOW() is fixed for the transaction, so anything in scope not just
+  // upserted has dropped below the thresholds or out of the counts
+  const removed = await client.query(`
+    DELETE FROM product_correlations
+    WHERE last_updated < NOW()
+      AND ($1::int[] IS NULL OR COALESCE(shop_id, 0) = ANY($1))
+  `, [shopIds]);
+
+  return { upserted: upserted.rowCount, removed: removed.rowCount };
+}
+
+// Calculate product correlations. Pass orderIds to apply only those orders
+// incrementally; otherwise (or on first run) all counts are rebuilt.
+async function calculateCorrelations({ orderIds = null, ...overrides } = {}) {
+  const thresholds = getCorrelationThresholds(overrides);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize recomputations across requests and server instances
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('calculate_correlations'))");
+
+    const seeded = await client.query('SELECT EXISTS (SELECT 1 FROM correlation_baskets) as seeded');
+    const incremental = Array.isArray(orderIds) && seeded.rows[0].seeded;
+
+    // Shops whose pairs need republishing (null = all)
+    let changedShopIds = null;
+
+    if (incremental) {
+      console.log(`🤝 Updating correlations incrementally for ${orderIds.length} orders...`);
+      changedShopIds = orderIds.length > 0 ? await applyCorrelationDelta(client, orderIds) : [];
+    } else {
+      console.log('🤝 Rebuilding product correlations from all orders...');
+      await rebuildCorrelationCounts(client);
+    }
+
+    const published = changedShopIds?.length === 0
+      ? { upserted: 0, removed: 0 }
+      : await publishCorrelations(client, thresholds, changedShopIds);
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Correlations calculated: ${published.upserted} pairs written, ${published.removed} removed (${incremental ? 'incremental' : 'full rebuild'})`, thresholds);
+    return { mode: incremental ? 'incremental' : 'full', correlations: published.upserted, removed: published.removed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Correlation calculation error:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const CORRELATION_SORTS = {
+  count: 'pc.co_purchase_count',
+  support: 'pc.support',
+  confidence: 'GREATEST(pc.confidence_a_to_b, pc.confidence_b_to_a)',
+  lift: 'pc.lift'
+};
+
+// Get product correlations (SQL ONLY - no API calls)
+// Query: sortBy=count|support|confidence|lift, minCount/minSupport/minConfidence/minLift,
+// from/to (dates in the shop's timezone, `to` inclusive, or timestamps -
+// computed live for that window), limit, shop
+app.get('/api/correlations', requireRole('viewer'), async (req, res) => {
+  const sortBy = req.query.sortBy || 'count';
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const { from, to } = req.query;
+
+  if (!CORRELATION_SORTS[sortBy]) {
+    return res.status(400).json({ error: `sortBy must be one of: ${Object.keys(CORRELATION_SORTS).join(', ')}` });
+  }
+
+  let range;
+  try {
+    range = resolveRange(from, to, getShopCalendar(req.shop).timeZone);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    console.log(`🤝 Fetching correlations from database (sort: ${sortBy}${from || to ? `, window: ${from || '…'} → ${to || '…'}` : ''})...`);
+
+    // Stored table for all-time, live computation for a date window
+    let source;
+    let values;
+    let thresholds;
+
+    if (from || to) {
+      const query = buildCorrelationMetricsQuery({ ...req.query, from: range.from, to: range.to, shopId: shopScope(req) });
+      source = query.text;
+      values = query.values;
+      thresholds = query.thresholds;
+    } else {
+      thresholds = getCorrelationThresholds(req.query);
+      source = `
+        SELECT * FROM product_correlations
+        WHERE co_purchase_count >= $1
+          AND COALESCE(support, 0) >= $2
+          AND GREATEST(COALESCE(confidence_a_to_b, 0), COALESCE(confidence_b_to_a, 0)) >= $3
+          AND COALESCE(lift, 0) >= $4
+          AND ($5::int IS NULL OR shop_id = $5)
+      `;
+      values = [thresholds.minCount, thresholds.minSupport, thresholds.minConfidence, thresholds.minLift, shopScope(req)];
+    }
+
+    // Prefer catalog details, fall back to the latest order line for names/prices
+    const result = await pool.query(`
+      WITH pc AS (${source})
+      SELECT
+        COALESCE(pa.title, oia.title) as product_a_name,
+        COALESCE(pa.variant_title, oia.variant_title) as product_a_variant,
+        pc.variant_a_id as product_a_variant_id,
+        pa.barcode as product_a_upc,
+        COALESCE(pa.price, oia.price) as product_a_price,
+        COALESCE(pb.title, oib.title) as product_b_name,
+        COALESCE(pb.variant_title, oib.variant_title) as product_b_variant,
+        pc.variant_b_id as product_b_variant_id,
+        pb.barcode as product_b_upc,
+        COALESCE(pb.price, oib.price) as product_b_price,
+        pc.co_purchase_count,
+        pc.support,
+        pc.confidence_a_to_b,
+        pc.confidence_b_to_a,
+        pc.lift
+      FROM pc
+      LEFT JOIN products pa ON pa.variant_id = pc.variant_a_id
+      LEFT JOIN products pb ON pb.variant_id = pc.variant_b_id
+      LEFT JOIN LATERAL (
+        SELECT title, variant_title, price
+        FROM order_items
+        WHERE variant_id = pc.variant_a_id
+        ORDER BY id DESC
+        LIMIT 1
+      ) oia ON pa.variant_id IS NULL
+      LEFT JOIN LATERAL (
+        SELECT title, variant_title, price
+        FROM order_items
+        WHERE variant_id = pc.variant_b_id
+        ORDER BY id DESC
+        LIMIT 1
+      ) oib ON pb.variant_id IS NULL
+      ORDER BY ${CORRELATION_SORTS[sortBy]} DESC NULLS LAST, pc.co_purchase_count DESC
+      LIMIT ${limit}
+    `, values);
+
+    console.log(`✅ Found ${result.rows.length} product correlations`);
+
+    const correlations = result.rows.map(r => ({
+      productA: {
+        variantId: r.product_a_variant_id,
+        name: r.product_a_variant
+          ? `${r.product_a_name} - ${r.product_a_variant}`
+          : (r.product_a_name || `Product ${r.product_a_variant_id || 'Unknown'}`),
+        upc: r.product_a_upc || null,
+        price: parseFloat(r.product_a_price || 0)
+      },
+      productB: {
+        variantId: r.product_b_variant_id,
+        name: r.product_b_variant
+          ? `${r.product_b_name} - ${r.product_b_variant}`
+          : (r.product_b_name || `Product ${r.product_b_variant_id || 'Unknown'}`),
+        upc: r.product_b_upc || null,
+        price: parseFloat(r.product_b_price || 0)
+      },
+      timesBoughtTogether: parseInt(r.co_purchase_count),
+      support: parseFloat(r.support || 0),
+      confidence: {
+        aToB: parseFloat(r.confidence_a_to_b || 0),
+        bToA: parseFloat(r.confidence_b_to_a || 0)
+      },
+      lift: parseFloat(r.lift || 0),
+      correlationScore: parseFloat(r.lift || 0)
+    }));
+
+    console.log(`📦 Returning ${correlations.length} correlations to frontend`);
+
+    res.json({
+      correlations,
+      sortBy,
+      thresholds,
+      window: from || to ? { from: from || null, to: to || null } : null
+    });
+  } catch (error) {
+    console.error('❌ Correlations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get all products from database
+// Query: basis=gross (default) or net - which units drive the sales fields, shop
+app.get('/api/products/all', requireRole('viewer'), async (req, res) => {
+  const basis = req.query.basis === 'net' ? 'net' : 'gross';
+  const shopId = shopScope(req);
+
+  try {
+    console.log(`📦 Fetching all products (${basis} sales)...`);
+    
+    // Get products
+    const productsResult = await pool.query(
+      'SELECT * FROM products WHERE is_deleted IS NOT TRUE AND ($1::int IS NULL OR shop_id = $1) LIMIT 5000',
+      [shopId]
+    );
+    console.log(`✅ Found ${productsResult.rows.length} products`);
+    
+    // Velocity windows precomputed by refreshSalesData()
+    let salesData = {};
+    try {
+      const salesResult = await pool.query('SELECT * FROM sales_data WHERE $1::int IS NULL OR shop_id = $1', [shopId]);
+      const pick = (row, column) => parseInt(row[basis === 'net' ? `net_${column}` : column] || 0);
+
+      salesResult.rows.forEach(row => {
+        const keptOrderUnits = parseInt(row.all_time_sales || 0) - parseInt(row.cancelled_units || 0);
+
+        salesData[row.variant_id] = {
+          dailySales: pick(row, 'daily_sales'),
+          weeklySales: pick(row, 'weekly_sales'),
+          monthlySales: pick(row, 'monthly_sales'),
+          quarterlySales: pick(row, 'quarterly_sales'),
+          yearlySales: pick(row, 'yearly_sales'),
+          allTimeSales: pick(row, 'all_time_sales'),
+          grossUnits: parseInt(row.all_time_sales || 0),
+          netUnits: parseInt(row.net_all_time_sales || 0),
+          refundedUnits: parseInt(row.refunded_units || 0),
+          returnRate: keptOrderUnits > 0 ? parseInt(row.refunded_units || 0) / keptOrderUnits : 0,
+          lastUpdated: row.last_updated
+        };
+      });
+      
+      console.log(`📊 Got sales for ${Object.keys(salesData).length} variants`);
+    } catch (salesErr) {
+      console.error('⚠️ Sales query failed:', salesErr.message);
+    }
 
     const products = productsResult.rows.map(p => {
       const sales = salesData[p.variant_id] || {};
       
       return {
-        id: p.product_id || p.id,
-        variantId: p.variant_id,
-        title: p.title || 'Untitled',
-        variantTitle: p.variant_title || null,
-        name: p.variant_title ? `${p.title} - ${p.variant_title}` : p.title,
-        price: parseFloat(p.price || 0),
-        compareAtPrice: parseFloat(p.compare_at_price || 0),
-        barcode: p.barcode || null,
-        sku: p.sku || null,
-        vendor: p.vendor || null,
-        distributor: p.distributor || null,
-        cost: parseFloat(p.cost || 0),
-        inventoryQuantity: parseInt(p.inventory_quantity || p.inventory || 0),
-        stock: parseInt(p.inventory_quantity || p.inventory || 0),
-        image: p.image_url ? { src: p.image_url } : (p.image ? { src: p.image } : null),
-        // For now, use all-time sales for everything
-        dailySales: 0,
-        weeklySales: 0,
-        monthlySales: Math.floor((sales.allTimeSales || 0) / 30), // Rough estimate
-        quarterlySales: Math.floor((sales.allTimeSales || 0) / 4),
-        yearlySales: sales.allTimeSales || 0,
-        allTimeSales: sales.allTimeSales || 0
+        id: p.product_id || p.id,
+        variantId: p.variant_id,
+        title: p.title || 'Untitled',
+        variantTitle: p.variant_title || null,
+        name: p.variant_title ? `${p.title} - ${p.variant_title}` : p.title,
+        price: parseFloat(p.price || 0),
+        compareAtPrice: parseFloat(p.compare_at_price || 0),
+        barcode: p.barcode || null,
+        sku: p.sku || null,
+        vendor: p.vendor || null,
+        distributor: p.distributor || null,
+        cost: parseFloat(p.cost || 0),
+        inventoryQuantity: parseInt(p.inventory_quantity || p.inventory || 0),
+        stock: parseInt(p.inventory_quantity || p.inventory || 0),
+        image: p.image_url ? { src: p.image_url } : (p.image ? { src: p.image } : null),
+        dailySales: sales.dailySales || 0,
+        weeklySales: sales.weeklySales || 0,
+        monthlySales: sales.monthlySales || 0,
+        quarterlySales: sales.quarterlySales || 0,
+        yearlySales: sales.yearlySales || 0,
+        allTimeSales: sales.allTimeSales || 0,
+        grossUnits: sales.grossUnits || 0,
+        netUnits: sales.netUnits || 0,
+        refundedUnits: sales.refundedUnits || 0,
+        returnRate: Math.round((sales.returnRate || 0) * 1000) / 1000
+      };
+    });
+
+    const criticalAlerts = products.filter(p => p.inventoryQuantity < 0 || p.inventoryQuantity === 0).length;
+    const avgVelocity = products.reduce((sum, p) => sum + (p.monthlySales / 30), 0) / products.length;
+
+    console.log(`✅ Returning ${products.length} products`);
+
+    res.json({ 
+      products,
+      basis,
+      salesUpdatedAt: Object.values(salesData)[0]?.lastUpdated || null,
+      summary: {
+        totalProducts: products.length,
+        criticalAlerts,
+        avgVelocity: avgVelocity.toFixed(2)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Products error:', error.message);
+    console.error('   Stack:', error.stack);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get hot products that are out of stock
+app.get('/api/products/hot-out-of-stock', requireRole('viewer'), async (req, res) => {
+  try {
+    console.log('🔥 Fetching hot products that are out of stock...');
+    
+    // Find products that:
+    // 1. Have been ordered frequently (from order_items)
+    // 2. Have low/zero inventory (from products)
+    const result = await pool.query(`
+      WITH product_sales AS (
+        SELECT 
+          oi.variant_id,
+          oi.title,
+          oi.variant_title,
+          COUNT(DISTINCT oi.order_id) as times_ordered,
+          SUM(oi.quantity) as total_quantity_sold,
+          AVG(oi.price) as avg_price
+        FROM order_items oi
+        WHERE oi.variant_id IS NOT NULL
+          AND ($1::int IS NULL OR oi.shop_id = $1)
+        GROUP BY oi.variant_id, oi.title, oi.variant_title
+        HAVING COUNT(DISTINCT oi.order_id) >= 3  -- Ordered at least 3 times
+      )
+      SELECT 
+        ps.variant_id,
+        ps.title,
+        ps.variant_title,
+        ps.times_ordered,
+        ps.total_quantity_sold,
+        ps.avg_price,
+        COALESCE(p.inventory_quantity, 0) as current_stock,
+        p.sku,
+        p.barcode
+      FROM product_sales ps
+      LEFT JOIN products p ON p.variant_id = ps.variant_id
+      WHERE COALESCE(p.inventory_quantity, 0) <= 5  -- Out of stock or very low
+        AND p.is_deleted IS NOT TRUE  -- Skip variants removed from Shopify
+      ORDER BY ps.times_ordered DESC, ps.total_quantity_sold DESC
+      LIMIT 50
+    `, [shopScope(req)]);
+
+    console.log(`✅ Found ${result.rows.length} hot products that need restocking`);
+
+    const hotProducts = result.rows.map(p => ({
+      variant_id: p.variant_id,
+      name: p.variant_title ? `${p.title} - ${p.variant_title}` : p.title,
+      title: p.title,
+      variant_title: p.variant_title,
+      times_ordered: parseInt(p.times_ordered),
+      total_sold: parseInt(p.total_quantity_sold),
+      avg_price: parseFloat(p.avg_price),
+      current_stock: parseInt(p.current_stock),
+      sku: p.sku,
+      barcode: p.barcode,
+      urgency: p.current_stock <= 0 ? 'critical' : 'low'
+    }));
+
+    res.json({ 
+      hotProducts,
+      summary: {
+        total: hotProducts.length,
+        critical: hotProducts.filter(p => p.current_stock <= 0).length,
+        low: hotProducts.filter(p => p.current_stock > 0 && p.current_stock <= 5).length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Hot products error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Legacy endpoint for refreshing products (redirects to new system)
+app.post('/api/shopify', requireRole('viewer'), async (req, res) => {
+  const { action } = req.body;
+  
+  if (action === 'refreshProducts') {
+    // Redirect to Product Sync
+    try {
+      const result = await pool.query(
+        'SELECT COUNT(*) as count FROM products WHERE is_deleted IS NOT TRUE AND ($1::int IS NULL OR shop_id = $1)',
+        [shopScope(req)]
+      );
+      res.json({ 
+        success: true, 
+        message: `${result.rows[0].count} products available in database`,
+        note: 'Use Product Sync to refresh the catalog from Shopify.',
+        redirect: '/api/products/sync'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  } else if (action === 'refreshSales') {
+    // Redirect to Order Blitz
+    res.json({
+      success: true,
+      message: 'Use Order Blitz to refresh sales data',
+      redirect: '/api/order-blitz'
+    });
+  } else {
+    res.status(400).json({ error: 'Unknown action' });
+  }
+});
+
+// Manually queue a full correlation rebuild
+app.post('/api/correlations/calculate', requireRole('admin'), async (req, res) => {
+  try {
+    const { minCount, minSupport, minConfidence, minLift } = req.body || {};
+    console.log('🔥 Manual correlation calculation triggered');
+    const queued = await enqueueJob('correlations', {
+      payload: { minCount, minSupport, minConfidence, minLift },
+      createdBy: req.user.email
+    });
+
+    sendQueuedJob(res, queued, 'Correlation calculation');
+  } catch (error) {
+    console.error('❌ Manual correlation calculation failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Debug endpoint to check correlation status
+app.get('/api/correlations/debug', requireRole('admin'), async (req, res) => {
+  try {
+    const shopId = shopScope(req);
+
+    // Check product_correlations table
+    const correlationsCount = await pool.query('SELECT COUNT(*) as count FROM product_correlations WHERE $1::int IS NULL OR shop_id = $1', [shopId]);
+    
+    // Check order_items table
+    const orderItemsCount = await pool.query('SELECT COUNT(*) as count FROM order_items WHERE $1::int IS NULL OR shop_id = $1', [shopId]);
+    const uniqueVariants = await pool.query('SELECT COUNT(DISTINCT variant_id) as count FROM order_items WHERE variant_id IS NOT NULL AND ($1::int IS NULL OR shop_id = $1)', [shopId]);
+    
+    // Sample correlations
+    const sampleCorrelations = await pool.query(`
+      SELECT variant_a_id, variant_b_id, co_purchase_count 
+      FROM product_correlations 
+      WHERE $1::int IS NULL OR shop_id = $1
+      ORDER BY co_purchase_count DESC 
+      LIMIT 5
+    `, [shopId]);
+    
+    // Check products table
+    const productsCount = await pool.query('SELECT COUNT(*) as count FROM products WHERE $1::int IS NULL OR shop_id = $1', [shopId]);
+    
+    res.json({
+      status: 'OK',
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      correlations: {
+        total: parseInt(correlationsCount.rows[0].count),
+        sample: sampleCorrelations.rows
+      },
+      orderItems: {
+        total: parseInt(orderItemsCount.rows[0].count),
+        uniqueVariants: parseInt(uniqueVariants.rows[0].count)
+      },
+      products: {
+        total: parseInt(productsCount.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Debug error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================================
+// 🗺️ PLANOGRAMS - stores, fixtures, shelves and facings
+// All dimensions are in inches.
+// ==========================================================
+
+const FACING_ORIENTATIONS = ['front', 'side', 'top', 'back'];
+
+function formatStore(s) {
+  return {
+    id: s.store_id,
+    shopId: s.shop_id,
+    name: s.name,
+    code: s.code,
+    address: s.address,
+    createdAt: s.created_at,
+    updatedAt: s.updated_at
+  };
+}
+
+function formatFixture(f) {
+  return {
+    id: f.fixture_id,
+    storeId: f.store_id,
+    name: f.name,
+    fixtureType: f.fixture_type,
+    aisle: f.aisle,
+    width: parseFloat(f.width),
+    height: f.height != null ? parseFloat(f.height) : null,
+    depth: f.depth != null ? parseFloat(f.depth) : null,
+    createdAt: f.created_at,
+    updatedAt: f.updated_at
+  };
+}
+
+function formatShelf(s) {
+  return {
+    id: s.shelf_id,
+    fixtureId: s.fixture_id,
+    shelfNumber: s.shelf_number,
+    width: parseFloat(s.width),
+    height: s.height != null ? parseFloat(s.height) : null,
+    depth: s.depth != null ? parseFloat(s.depth) : null,
+    heightFromFloor: s.height_from_floor != null ? parseFloat(s.height_from_floor) : null
+  };
+}
+
+function formatFacing(f) {
+  return {
+    id: f.facing_id,
+    shelfId: f.shelf_id,
+    variantId: f.variant_id,
+    name: f.title ? (f.variant_title ? `${f.title} - ${f.variant_title}` : f.title) : null,
+    positionX: parseFloat(f.position_x),
+    facingsCount: f.facings_count,
+    depthCount: f.depth_count,
+    unitWidth: parseFloat(f.unit_width),
+    orientation: f.orientation
+  };
+}
+
+// Check that every facing fits on the shelf and none overlap.
+// Facings use the DB column names; returns a list of error messages.
+function validateShelfFacings(shelfWidth, facings) {
+  const errors = [];
+  const width = parseFloat(shelfWidth);
+
+  const spans = facings.map(f => {
+    const start = parseFloat(f.position_x);
+    const end = start + parseFloat(f.unit_width) * parseInt(f.facings_count);
+    return { variantId: f.variant_id, start, end };
+  });
+
+  spans.forEach(span => {
+    if (span.start < 0 || span.end > width) {
+      errors.push(`${span.variantId} spans ${span.start}-${span.end}" but shelf is ${width}" wide`);
+    }
+  });
+
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      errors.push(`${sorted[i].variantId} overlaps ${sorted[i - 1].variantId} at ${sorted[i].start}"`);
+    }
+  }
+
+  return errors;
+}
+
+// Normalize a facing payload into DB column names, or return { error }
+function parseFacingInput(body, existing = {}) {
+  const facing = {
+    variant_id: body.variantId != null ? String(body.variantId) : existing.variant_id,
+    position_x: body.positionX ?? existing.position_x,
+    facings_count: body.facingsCount ?? existing.facings_count ?? 1,
+    depth_count: body.depthCount ?? existing.depth_count ?? 1,
+    unit_width: body.unitWidth ?? existing.unit_width,
+    orientation: body.orientation ?? existing.orientation ?? 'front'
+  };
+
+  if (!facing.variant_id) return { error: 'variantId is required' };
+  if (facing.position_x == null || isNaN(parseFloat(facing.position_x))) return { error: 'positionX is required' };
+  if (!(parseFloat(facing.unit_width) > 0)) return { error: 'unitWidth must be greater than 0' };
+  if (!(parseInt(facing.facings_count) >= 1)) return { error: 'facingsCount must be at least 1' };
+  if (!(parseInt(facing.depth_count) >= 1)) return { error: 'depthCount must be at least 1' };
+  if (!FACING_ORIENTATIONS.includes(facing.orientation)) {
+    return { error: `orientation must be one of: ${FACING_ORIENTATIONS.join(', ')}` };
+  }
+
+  return { facing };
+}
+
+async function getShelfFacings(client, shelfId) {
+  const result = await client.query(`
+    SELECT f.*, p.title, p.variant_title
+    FROM facings f
+    LEFT JOIN products p ON p.variant_id = f.variant_id
+    WHERE f.shelf_id = $1
+    ORDER BY f.position_x
+  `, [shelfId]);
+  return result.rows;
+}
+
+// Load a fixture with its shelves and facings nested for the frontend
+async function getFixtureLayout(fixtureId, client = pool) {
+  const fixtureResult = await client.query('SELECT * FROM fixtures WHERE fixture_id = $1', [fixtureId]);
+  if (fixtureResult.rows.length === 0) return null;
+
+  const shelvesResult = await client.query(
+    'SELECT * FROM shelves WHERE fixture_id = $1 ORDER BY shelf_number',
+    [fixtureId]
+  );
+  const facingsResult = await client.query(`
+    SELECT f.*, p.title, p.variant_title
+    FROM facings f
+    JOIN shelves s ON s.shelf_id = f.shelf_id
+    LEFT JOIN products p ON p.variant_id = f.variant_id
+    WHERE s.fixture_id = $1
+    ORDER BY f.position_x
+  `, [fixtureId]);
+
+  return {
+    ...formatFixture(fixtureResult.rows[0]),
+    shelves: shelvesResult.rows.map(shelf => ({
+      ...formatShelf(shelf),
+      facings: facingsResult.rows
+        .filter(f => f.shelf_id === shelf.shelf_id)
+        .map(formatFacing)
+    }))
+  };
+}
+
+// Map Postgres constraint errors to 400s, everything else to 500
+function sendPlanogramError(res, error, label) {
+  if (error.code === '23503') {
+    return res.status(400).json({ error: 'Referenced record does not exist', detail: error.detail });
+  }
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Record already exists', detail: error.detail });
+  }
+  // e.g. a non-numeric id in the URL
+  if (error.code === '22P02') {
+    return res.status(400).json({ error: 'Invalid id or value', detail: error.message });
+  }
+  console.error(`❌ ${label} error:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+// Records addressed by URL id belong to a shop (planogram records through their store)
+const SHOP_OWNER_SQL = {
+  storeId: 'SELECT shop_id FROM stores WHERE store_id = $1',
+  fixtureId: `
+    SELECT s.shop_id FROM fixtures f
+    JOIN stores s ON s.store_id = f.store_id
+    WHERE f.fixture_id = $1
+  `,
+  shelfId: `
+    SELECT s.shop_id FROM shelves sh
+    JOIN fixtures f ON f.fixture_id = sh.fixture_id
+    JOIN stores s ON s.store_id = f.store_id
+    WHERE sh.shelf_id = $1
+  `,
+  facingId: `
+    SELECT s.shop_id FROM facings fa
+    JOIN shelves sh ON sh.shelf_id = fa.shelf_id
+    JOIN fixtures f ON f.fixture_id = sh.fixture_id
+    JOIN stores s ON s.store_id = f.store_id
+    WHERE fa.facing_id = $1
+  `,
+  poId: 'SELECT shop_id FROM purchase_orders WHERE po_id = $1',
+  scheduleId: 'SELECT shop_id FROM schedules WHERE schedule_id = $1'
+};
+
+// False if the record exists but belongs to a shop other than req.shop.
+// Records without a shop (e.g. shop-less schedules) are shared.
+async function inRequestShop(req, param, id) {
+  if (!req.shop) return true;
+  try {
+    const result = await pool.query(SHOP_OWNER_SQL[param], [id]);
+    return result.rows.length === 0 || result.rows[0].shop_id == null || result.rows[0].shop_id === req.shop.shop_id;
+  } catch (error) {
+    // Malformed ids fall through to the route's own handling
+    return true;
+  }
+}
+
+Object.keys(SHOP_OWNER_SQL).forEach(param => {
+  app.param(param, async (req, res, next, id) => {
+    if (!(await inRequestShop(req, param, id))) {
+      return res.status(404).json({ error: 'Not found in this shop' });
+    }
+    next();
+  });
+});
+
+// ---------- Stores ----------
+
+app.get('/api/stores', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM stores WHERE $1::int IS NULL OR shop_id = $1 ORDER BY name',
+      [shopScope(req)]
+    );
+    res.json({ stores: result.rows.map(formatStore) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'List stores');
+  }
+});
+
+app.post('/api/stores', requireRole('merchandiser'), requireShop, async (req, res) => {
+  const { name, code, address } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO stores (name, code, address, shop_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [name, code || null, address || null, req.shop.shop_id]);
+
+    console.log(`🏪 Created store ${result.rows[0].store_id}: ${name}`);
+    res.status(201).json({ store: formatStore(result.rows[0]) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Create store');
+  }
+});
+
+app.get('/api/stores/:storeId', requireRole('viewer'), async (req, res) => {
+  try {
+    const storeResult = await pool.query('SELECT * FROM stores WHERE store_id = $1', [req.params.storeId]);
+    if (storeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const fixturesResult = await pool.query(
+      'SELECT * FROM fixtures WHERE store_id = $1 ORDER BY aisle NULLS LAST, name',
+      [req.params.storeId]
+    );
+
+    res.json({
+      store: {
+        ...formatStore(storeResult.rows[0]),
+        fixtures: fixturesResult.rows.map(formatFixture)
+      }
+    });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Get store');
+  }
+});
+
+app.put('/api/stores/:storeId', requireRole('merchandiser'), async (req, res) => {
+  const { name, code, address } = req.body;
+
+  try {
+    const result = await pool.query(`
+      UPDATE stores SET
+        name = COALESCE($2, name),
+        code = COALESCE($3, code),
+        address = COALESCE($4, address),
+        updated_at = NOW()
+      WHERE store_id = $1
+      RETURNING *
+    `, [req.params.storeId, name ?? null, code ?? null, address ?? null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json({ store: formatStore(result.rows[0]) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Update store');
+  }
+});
+
+app.delete('/api/stores/:storeId', requireRole('merchandiser'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM stores WHERE store_id = $1', [req.params.storeId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    console.log(`🗑️ Deleted store ${req.params.storeId}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Delete store');
+  }
+});
+
+// ---------- Fixtures ----------
+
+app.get('/api/stores/:storeId/fixtures', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM fixtures WHERE store_id = $1 ORDER BY aisle NULLS LAST, name',
+      [req.params.storeId]
+    );
+    res.json({ fixtures: result.rows.map(formatFixture) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'List fixtures');
+  }
+});
+
+app.post('/api/stores/:storeId/fixtures', requireRole('merchandiser'), async (req, res) => {
+  const { name, fixtureType, aisle, width, height, depth } = req.body;
+
+  if (!name || !(parseFloat(width) > 0)) {
+    return res.status(400).json({ error: 'name and a positive width are required' });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO fixtures (store_id, name, fixture_type, aisle, width, height, depth)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [req.params.storeId, name, fixtureType || 'gondola', aisle || null, width, height ?? null, depth ?? null]);
+
+    console.log(`🧱 Created fixture ${result.rows[0].fixture_id}: ${name}`);
+    res.status(201).json({ fixture: formatFixture(result.rows[0]) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Create fixture');
+  }
+});
+
+// Full layout: fixture + shelves + facings
+app.get('/api/fixtures/:fixtureId', requireRole('viewer'), async (req, res) => {
+  try {
+    const fixture = await getFixtureLayout(req.params.fixtureId);
+    if (!fixture) {
+      return res.status(404).json({ error: 'Fixture not found' });
+    }
+    res.json({ fixture });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Get fixture');
+  }
+});
+
+app.put('/api/fixtures/:fixtureId', requireRole('merchandiser'), async (req, res) => {
+  const { name, fixtureType, aisle, width, height, depth } = req.body;
+
+  if (width != null && !(parseFloat(width) > 0)) {
+    return res.status(400).json({ error: 'width must be greater than 0' });
+  }
+
+  try {
+    // Shelves can't be wider than their fixture
+    if (width != null) {
+      const wide = await pool.query(
+        'SELECT COUNT(*) as count FROM shelves WHERE fixture_id = $1 AND width > $2',
+        [req.params.fixtureId, width]
+      );
+      if (parseInt(wide.rows[0].count) > 0) {
+        return res.status(400).json({ error: `${wide.rows[0].count} shelves are wider than ${width}"` });
+      }
+    }
+
+    const result = await pool.query(`
+      UPDATE fixtures SET
+        name = COALESCE($2, name),
+        fixture_type = COALESCE($3, fixture_type),
+        aisle = COALESCE($4, aisle),
+        width = COALESCE($5, width),
+        height = COALESCE($6, height),
+        depth = COALESCE($7, depth),
+        updated_at = NOW()
+      WHERE fixture_id = $1
+      RETURNING *
+    `, [req.params.fixtureId, name ?? null, fixtureType ?? null, aisle ?? null, width ?? null, height ?? null, depth ?? null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Fixture not found' });
+    }
+
+    res.json({ fixture: formatFixture(result.rows[0]) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Update fixture');
+  }
+});
+
+app.delete('/api/fixtures/:fixtureId', requireRole('merchandiser'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM fixtures WHERE fixture_id = $1', [req.params.fixtureId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Fixture not found' });
+    }
+
+    console.log(`🗑️ Deleted fixture ${req.params.fixtureId}`);
+    res.json({ success: true });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Delete fixture');
+  }
+});
+
+// ---------- Shelves ----------
+
+app.post('/api/fixtures/:fixtureId/shelves', requireRole('merchandiser'), async (req, res) => {
+  const { shelfNumber, width, height, depth, heightFromFloor } = req.body;
+
+  try {
+    const fixtureResult = await pool.query('SELECT * FROM fixtures WHERE fixture_id = $1', [req.params.fixtureId]);
+    if (fixtureResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Fixture not found' });
+    }
+
+    // Shelves default to the full fixture width
+    const fixture = fixtureResult.rows[0];
+    const shelfWidth = width ?? fixture.width;
+
+    if (!(parseFloat(shelfWidth) > 0) || parseFloat(shelfWidth) > parseFloat(fixture.width)) {
+      return res.status(400).json({ error: `width must be between 0 and the fixture width (${fixture.width}")` });
+    }
+
+    let number = shelfNumber;
+    if (number == null) {
+      const next = await pool.query(
+        'SELECT COALESCE(MAX(shelf_number), 0) + 1 as next FROM shelves WHERE fixture_id = $1',
+        [req.params.fixtureId]
+      );
+      number = next.rows[0].next;
+    }
+
+    const result = await pool.query(`
+      INSERT INTO shelves (fixture_id, shelf_number, width, height, depth, height_from_floor)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [req.params.fixtureId, number, shelfWidth, height ?? null, depth ?? fixture.depth ?? null, heightFromFloor ?? null]);
+
+    res.status(201).json({ shelf: { ...formatShelf(result.rows[0]), facings: [] } });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Create shelf');
+  }
+});
+
+app.get('/api/shelves/:shelfId', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shelves WHERE shelf_id = $1', [req.params.shelfId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+
+    const facings = await getShelfFacings(pool, req.params.shelfId);
+    res.json({ shelf: { ...formatShelf(result.rows[0]), facings: facings.map(formatFacing) } });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Get shelf');
+  }
+});
+
+app.put('/api/shelves/:shelfId', requireRole('merchandiser'), async (req, res) => {
+  const { shelfNumber, width, height, depth, heightFromFloor } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the shelf so facings can't be added while the new width is checked
+    const shelfResult = await client.query(`
+      SELECT s.*, fx.width as fixture_width
+      FROM shelves s
+      JOIN fixtures fx ON fx.fixture_id = s.fixture_id
+      WHERE s.shelf_id = $1
+      FOR UPDATE OF s
+    `, [req.params.shelfId]);
+
+    if (shelfResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+
+    // Narrowing a shelf must still fit the facings already on it
+    if (width != null) {
+      if (!(parseFloat(width) > 0) || parseFloat(width) > parseFloat(shelfResult.rows[0].fixture_width)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: `width must be between 0 and the fixture width (${shelfResult.rows[0].fixture_width}")` });
+      }
+
+      const errors = validateShelfFacings(width, await getShelfFacings(client, req.params.shelfId));
+      if (errors.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'Existing facings do not fit the new width', details: errors });
+      }
+    }
+
+    const result = await client.query(`
+      UPDATE shelves SET
+        shelf_number = COALESCE($2, shelf_number),
+        width = COALESCE($3, width),
+        height = COALESCE($4, height),
+        depth = COALESCE($5, depth),
+        height_from_floor = COALESCE($6, height_from_floor)
+      WHERE shelf_id = $1
+      RETURNING *
+    `, [req.params.shelfId, shelfNumber ?? null, width ?? null, height ?? null, depth ?? null, heightFromFloor ?? null]);
+
+    await client.query('COMMIT');
+
+    res.json({ shelf: formatShelf(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendPlanogramError(res, error, 'Update shelf');
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/shelves/:shelfId', requireRole('merchandiser'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM shelves WHERE shelf_id = $1', [req.params.shelfId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Delete shelf');
+  }
+});
+
+// ---------- Facings ----------
+
+app.get('/api/shelves/:shelfId/facings', requireRole('viewer'), async (req, res) => {
+  try {
+    const facings = await getShelfFacings(pool, req.params.shelfId);
+    res.json({ facings: facings.map(formatFacing) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'List facings');
+  }
+});
+
+app.post('/api/shelves/:shelfId/facings', requireRole('merchandiser'), async (req, res) => {
+  const { facing, error: inputError } = parseFacingInput(req.body);
+  if (inputError) {
+    return res.status(400).json({ error: inputError });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the shelf so concurrent adds can't both pass the fit check
+    const shelfResult = await client.query('SELECT * FROM shelves WHERE shelf_id = $1 FOR UPDATE', [req.params.shelfId]);
+    if (shelfResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+
+    const existing = await getShelfFacings(client, req.params.shelfId);
+    const errors = validateShelfFacings(shelfResult.rows[0].width, [...existing, facing]);
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Facing does not fit on shelf', details: errors });
+    }
+
+    const result = await client.query(`
+      INSERT INTO facings (shelf_id, variant_id, position_x, facings_count, depth_count, unit_width, orientation)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [req.params.shelfId, facing.variant_id, facing.position_x, facing.facings_count, facing.depth_count, facing.unit_width, facing.orientation]);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({ facing: formatFacing(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendPlanogramError(res, error, 'Create facing');
+  } finally {
+    client.release();
+  }
+});
+
+// Replace every facing on a shelf in one go (frontend "save layout")
+app.put('/api/shelves/:shelfId/facings', requireRole('merchandiser'), async (req, res) => {
+  const { facings: input } = req.body;
+
+  if (!Array.isArray(input)) {
+    return res.status(400).json({ error: 'facings array is required' });
+  }
+
+  const facings = [];
+  for (const [index, body] of input.entries()) {
+    const { facing, error: inputError } = parseFacingInput(body);
+    if (inputError) {
+      return res.status(400).json({ error: `facings[${index}]: ${inputError}` });
+    }
+    facings.push(facing);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const shelfResult = await client.query('SELECT * FROM shelves WHERE shelf_id = $1 FOR UPDATE', [req.params.shelfId]);
+    if (shelfResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shelf not found' });
+    }
+
+    const errors = validateShelfFacings(shelfResult.rows[0].width, facings);
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Facings do not fit on shelf', details: errors });
+    }
+
+    await client.query('DELETE FROM facings WHERE shelf_id = $1', [req.params.shelfId]);
+
+    for (const facing of facings) {
+      await client.query(`
+        INSERT INTO facings (shelf_id, variant_id, position_x, facings_count, depth_count, unit_width, orientation)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [req.params.shelfId, facing.variant_id, facing.position_x, facing.facings_count, facing.depth_count, facing.unit_width, facing.orientation]);
+    }
+
+    await client.query('COMMIT');
+
+    const saved = await getShelfFacings(pool, req.params.shelfId);
+    console.log(`💾 Saved ${saved.length} facings on shelf ${req.params.shelfId}`);
+    res.json({ facings: saved.map(formatFacing) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendPlanogramError(res, error, 'Save facings');
+  } finally {
+    client.release();
+  }
+});
+
+app.put('/api/facings/:facingId', requireRole('merchandiser'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the shelf so concurrent edits can't both pass the fit check
+    const currentResult = await client.query(`
+      SELECT f.*, s.width as shelf_width
+      FROM facings f
+      JOIN shelves s ON s.shelf_id = f.shelf_id
+      WHERE f.facing_id = $1
+      FOR UPDATE OF s
+    `, [req.params.facingId]);
+
+    if (currentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Facing not found' });
+    }
+
+    const current = currentResult.rows[0];
+    const { facing, error: inputError } = parseFacingInput(req.body, current);
+    if (inputError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: inputError });
+    }
+
+    const others = (await getShelfFacings(client, current.shelf_id))
+      .filter(f => f.facing_id !== current.facing_id);
+    const errors = validateShelfFacings(current.shelf_width, [...others, facing]);
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Facing does not fit on shelf', details: errors });
+    }
+
+    const result = await client.query(`
+      UPDATE facings SET
+        variant_id = $2,
+        position_x = $3,
+        facings_count = $4,
+        depth_count = $5,
+        unit_width = $6,
+        orientation = $7
+      WHERE facing_id = $1
+      RETURNING *
+    `, [req.params.facingId, facing.variant_id, facing.position_x, facing.facings_count, facing.depth_count, facing.unit_width, facing.orientation]);
+
+    await client.query('COMMIT');
+
+    res.json({ facing: formatFacing(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    sendPlanogramError(res, error, 'Update facing');
+  } finally {
+    client.release();
+  }
+});
+
+app.delete('/api/facings/:facingId', requireRole('merchandiser'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM facings WHERE facing_id = $1', [req.params.facingId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Facing not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Delete facing');
+  }
+});
+
+// ---------- Versions ----------
+// The shelves/facings tables hold each fixture's editable draft. Publishing
+// freezes the draft into an immutable planogram_versions snapshot; the newest
+// published version is what's live in the store.
+
+// What's wrong with a version reference, or null
+function validateVersionParam(version, name = 'version') {
+  return ['live', 'draft'].includes(version) || /^\d+$/.test(version)
+    ? null
+    : `${name} must be a version number, "live" or "draft"`;
+}
+
+// Resolve "draft", "live" or a version number to a layout snapshot
+async function getLayoutVersion(fixtureId, version) {
+  if (version === 'draft') {
+    const layout = await getFixtureLayout(fixtureId);
+    return layout ? { versionNumber: 'draft', layout } : null;
+  }
+
+  const result = version === 'live'
+    ? await pool.query(`
+        SELECT * FROM planogram_versions
+        WHERE fixture_id = $1
+        ORDER BY version_number DESC
+        LIMIT 1
+      `, [fixtureId])
+    : await pool.query(
+        'SELECT * FROM planogram_versions WHERE fixture_id = $1 AND version_number = $2',
+        [fixtureId, parseInt(version)]
+      );
+
+  if (result.rows.length === 0) return null;
+  return { versionNumber: result.rows[0].version_number, layout: result.rows[0].layout };
+}
+
+function formatVersion(v) {
+  return {
+    versionNumber: v.version_number,
+    notes: v.notes,
+    publishedBy: v.published_by,
+    publishedAt: v.published_at,
+    rolledBackFrom: v.rolled_back_from
+  };
+}
+
+// Flatten a layout into variant_id -> placements on its shelves
+function indexLayoutPlacements(layout) {
+  const placements = {};
+
+  (layout?.shelves || []).forEach(shelf => {
+    shelf.facings.forEach(f => {
+      if (!placements[f.variantId]) {
+        placements[f.variantId] = { variantId: f.variantId, name: f.name, locations: [], facingsCount: 0, depthCount: 0, orientations: [] };
+      }
+      const p = placements[f.variantId];
+      p.locations.push({ shelfNumber: shelf.shelfNumber, positionX: f.positionX });
+      p.facingsCount += f.facingsCount;
+      p.depthCount = Math.max(p.depthCount, f.depthCount);
+      if (!p.orientations.includes(f.orientation)) p.orientations.push(f.orientation);
+    });
+  });
+
+  return placements;
+}
+
+// Compare two layouts product-by-product
+function diffLayouts(fromLayout, toLayout) {
+  const from = indexLayoutPlacements(fromLayout);
+  const to = indexLayoutPlacements(toLayout);
+  const locationKey = p => p.locations.map(l => `${l.shelfNumber}@${l.positionX}`).sort().join('|');
+
+  const diff = { added: [], removed: [], moved: [], refaced: [] };
+
+  Object.values(to).forEach(after => {
+    const before = from[after.variantId];
+    if (!before) {
+      diff.added.push({ variantId: after.variantId, name: after.name, after });
+      return;
+    }
+    if (locationKey(before) !== locationKey(after)) {
+      diff.moved.push({ variantId: after.variantId, name: after.name, before: before.locations, after: after.locations });
+    }
+    if (before.facingsCount !== after.facingsCount ||
+        before.depthCount !== after.depthCount ||
+        before.orientations.join() !== after.orientations.join()) {
+      diff.refaced.push({
+        variantId: after.variantId,
+        name: after.name,
+        before: { facingsCount: before.facingsCount, depthCount: before.depthCount, orientations: before.orientations },
+        after: { facingsCount: after.facingsCount, depthCount: after.depthCount, orientations: after.orientations }
+      });
+    }
+  });
+
+  Object.values(from).forEach(before => {
+    if (!to[before.variantId]) {
+      diff.removed.push({ variantId: before.variantId, name: before.name, before });
+    }
+  });
+
+  return diff;
+}
+
+app.get('/api/fixtures/:fixtureId/versions', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT version_number, notes, published_by, published_at, rolled_back_from
+      FROM planogram_versions
+      WHERE fixture_id = $1
+      ORDER BY version_number DESC
+    `, [req.params.fixtureId]);
+
+    const versions = result.rows.map(formatVersion);
+    res.json({
+      versions,
+      liveVersion: versions[0]?.versionNumber || null
+    });
+  } catch (error) {
+    sendPlanogramError(res, error, 'List versions');
+  }
+});
+
+// version can be a number, "live" or "draft"
+app.get('/api/fixtures/:fixtureId/versions/:version', requireRole('viewer'), async (req, res) => {
+  const versionError = validateVersionParam(req.params.version);
+  if (versionError) {
+    return res.status(400).json({ error: versionError });
+  }
+
+  try {
+    const version = await getLayoutVersion(req.params.fixtureId, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(version);
+  } catch (error) {
+    sendPlanogramError(res, error, 'Get version');
+  }
+});
+
+// Freeze the current draft as the next published version
+app.post('/api/fixtures/:fixtureId/publish', requireRole('merchandiser'), async (req, res) => {
+  const { notes } = req.body;
+
+  try {
+    const layout = await getFixtureLayout(req.params.fixtureId);
+    if (!layout) {
+      return res.status(404).json({ error: 'Fixture not found' });
+    }
+
+    const errors = layout.shelves.flatMap(shelf => validateShelfFacings(
+      shelf.width,
+      shelf.facings.map(f => ({ variant_id: f.variantId, position_x: f.positionX, unit_width: f.unitWidth, facings_count: f.facingsCount }))
+    ).map(e => `Shelf ${shelf.shelfNumber}: ${e}`));
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Draft has invalid facings', details: errors });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO planogram_versions (fixture_id, version_number, layout, notes, published_by)
+      SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4
+      FROM planogram_versions WHERE fixture_id = $1
+      RETURNING *
+    `, [req.params.fixtureId, JSON.stringify(layout), notes || null, req.user.email]);
+
+    console.log(`📌 Published fixture ${req.params.fixtureId} version ${result.rows[0].version_number}`);
+    res.status(201).json({ version: formatVersion(result.rows[0]) });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Publish version');
+  }
+});
+
+// Diff any two versions (numbers, "live" or "draft"), with recent sales per product
+app.get('/api/fixtures/:fixtureId/diff', requireRole('viewer'), async (req, res) => {
+  const fromParam = req.query.from || 'live';
+  const toParam = req.query.to || 'draft';
+  const days = req.query.days !== undefined ? Number(req.query.days) : 28;
+
+  const versionError = validateVersionParam(fromParam, 'from') || validateVersionParam(toParam, 'to');
+  if (versionError) {
+    return res.status(400).json({ error: versionError });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > 730) {
+    return res.status(400).json({ error: 'days must be a whole number from 1 to 730' });
+  }
+
+  try {
+    const [fromVersion, toVersion] = await Promise.all([
+      getLayoutVersion(req.params.fixtureId, fromParam),
+      getLayoutVersion(req.params.fixtureId, toParam)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: `Version not found: ${!fromVersion ? fromParam : toParam}` });
+    }
+
+    const diff = diffLayouts(fromVersion.layout, toVersion.layout);
+
+    // Attach recent unit sales so merchandisers can see what moved matters
+    const changedIds = [...new Set(Object.values(diff).flat().map(d => d.variantId))];
+    const salesResult = changedIds.length > 0
+      ? await pool.query(`
+          SELECT oi.variant_id, SUM(oi.quantity) as units, SUM(oi.quantity * oi.price) as revenue
+          FROM order_items oi
+          JOIN orders o ON o.order_id = oi.order_id
+          WHERE oi.variant_id = ANY($1)
+            AND o.order_date >= NOW() - make_interval(days => $2)
+          GROUP BY oi.variant_id
+        `, [changedIds, days])
+      : { rows: [] };
+
+    const sales = {};
+    salesResult.rows.forEach(row => {
+      sales[row.variant_id] = { units: parseInt(row.units || 0), revenue: parseFloat(row.revenue || 0) };
+    });
+
+    Object.values(diff).flat().forEach(d => {
+      d.sales = sales[d.variantId] || { units: 0, revenue: 0 };
+    });
+
+    res.json({
+      from: fromVersion.versionNumber,
+      to: toVersion.versionNumber,
+      salesWindowDays: days,
+      ...diff,
+      summary: {
+        added: diff.added.length,
+        removed: diff.removed.length,
+        moved: diff.moved.length,
+        refaced: diff.refaced.length
+      }
+    });
+  } catch (error) {
+    sendPlanogramError(res, error, 'Diff versions');
+  }
+});
+
+// Restore an old version: republish it as the newest version and reset the draft to it
+app.post('/api/fixtures/:fixtureId/versions/:version/rollback', requireRole('merchandiser'), async (req, res) => {
+  const versionError = validateVersionParam(req.params.version);
+  if (versionError) {
+    return res.status(400).json({ error: versionError });
+  }
+
+  // Only set once the transaction has begun
+  let client = null;
+
+  try {
+    const target = await getLayoutVersion(req.params.fixtureId, req.params.version);
+    if (!target || target.versionNumber === 'draft') {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { layout } = target;
+
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE fixtures SET width = $2, height = $3, depth = $4, updated_at = NOW() WHERE fixture_id = $1',
+      [req.params.fixtureId, layout.width, layout.height, layout.depth]
+    );
+    await client.query('DELETE FROM shelves WHERE fixture_id = $1', [req.params.fixtureId]);
+
+    for (const shelf of layout.shelves) {
+      const shelfResult = await client.query(`
+        INSERT INTO shelves (fixture_id, shelf_number, width, height, depth, height_from_floor)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING shelf_id
+      `, [req.params.fixtureId, shelf.shelfNumber, shelf.width, shelf.height, shelf.depth, shelf.heightFromFloor]);
+
+      for (const f of shelf.facings) {
+        await client.query(`
+          INSERT INTO facings (shelf_id, variant_id, position_x, facings_count, depth_count, unit_width, orientation)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [shelfResult.rows[0].shelf_id, f.variantId, f.positionX, f.facingsCount, f.depthCount, f.unitWidth, f.orientation]);
+      }
+    }
+
+    // Re-read inside the transaction so the new snapshot has fresh ids
+    const restoredLayout = await getFixtureLayout(req.params.fixtureId, client);
+
+    const versionResult = await client.query(`
+      INSERT INTO planogram_versions (fixture_id, version_number, layout, notes, published_by, rolled_back_from)
+      SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4, $5
+      FROM planogram_versions WHERE fixture_id = $1
+      RETURNING *
+    `, [req.params.fixtureId, JSON.stringify(restoredLayout), `Rollback to version ${target.versionNumber}`, req.user.email, target.versionNumber]);
+
+    await client.query('COMMIT');
+
+    console.log(`⏪ Rolled fixture ${req.params.fixtureId} back to version ${target.versionNumber}`);
+    res.json({ version: formatVersion(versionResult.rows[0]), layout: restoredLayout });
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    sendPlanogramError(res, error, 'Rollback version');
+  } finally {
+    client?.release();
+  }
+});
+
+// ---------- Space allocation ----------
+
+// Split shelf width across candidates in proportion to sales velocity.
+// Each candidate: { variantId, name, unitWidth, unitsDeep, minFacings, maxFacings,
+// unitsPerWeek, revenuePerWeek }. Returns per-product facings plus packed shelves.
+function allocateShelfSpace(shelves, candidates, { basis = 'units', daysOfSupplyTarget = null } = {}) {
+  const weightOf = c => (basis === 'revenue' ? c.revenuePerWeek : c.unitsPerWeek);
+  const daysOfSupply = (c, facings) => (c.unitsPerWeek > 0
+    ? (facings * c.unitsDeep) / (c.unitsPerWeek / 7)
+    : Infinity);
+
+  const totalWidth = shelves.reduce((sum, s) => sum + s.width, 0);
+  const unplaced = [];
+
+  // Everything starts at its minimum; drop the slowest sellers until minimums fit
+  let active = [...candidates].sort((a, b) => weightOf(b) - weightOf(a));
+  active.forEach(c => { c.facings = c.minFacings; });
+
+  while (active.length > 0 && active.reduce((sum, c) => sum + c.facings * c.unitWidth, 0) > totalWidth) {
+    const dropped = active.pop();
+    unplaced.push({ variantId: dropped.variantId, name: dropped.name, reason: 'Not enough shelf width for minimum facings' });
+  }
+
+  // Hand out remaining width one facing at a time (highest-averages method).
+  // Products still short of the days-of-supply target go first.
+  let remaining = totalWidth - active.reduce((sum, c) => sum + c.facings * c.unitWidth, 0);
+
+  for (;;) {
+    const eligible = active.filter(c => c.facings < c.maxFacings && c.unitWidth <= remaining);
+    if (eligible.length === 0) break;
+
+    const priority = c => [
+      daysOfSupplyTarget && daysOfSupply(c, c.facings) < daysOfSupplyTarget ? 1 : 0,
+      weightOf(c) / c.facings
+    ];
+
+    eligible.sort((a, b) => {
+      const [pa, wa] = priority(a);
+      const [pb, wb] = priority(b);
+      return pb - pa || wb - wa;
+    });
+
+    const next = eligible[0];
+    if (weightOf(next) === 0 && !(daysOfSupplyTarget && priority(next)[0])) break;
+
+    next.facings++;
+    remaining -= next.unitWidth;
+  }
+
+  // Pack product blocks onto shelves, biggest sellers first (first fit).
+  // If a block can't fit anywhere whole, shrink it down to its minimum.
+  const packed = shelves.map(s => ({ ...s, used: 0, facings: [] }));
+
+  active.forEach(c => {
+    let facings = c.facings;
+    let shelf = null;
+
+    while (facings >= c.minFacings) {
+      shelf = packed.find(s => s.width - s.used >= facings * c.unitWidth);
+      if (shelf) break;
+      facings--;
+    }
+
+    if (!shelf) {
+      c.facings = 0;
+      unplaced.push({ variantId: c.variantId, name: c.name, reason: 'Could not fit on any single shelf' });
+      return;
+    }
+
+    c.facings = facings;
+    shelf.facings.push({
+      variantId: c.variantId,
+      name: c.name,
+      positionX: Math.round(shelf.used * 100) / 100,
+      facingsCount: facings,
+      depthCount: c.unitsDeep,
+      unitWidth: c.unitWidth,
+      orientation: 'front'
+    });
+    shelf.used += facings * c.unitWidth;
+  });
+
+  const placed = active.filter(c => c.facings > 0);
+  const totalWeight = placed.reduce((sum, c) => sum + weightOf(c), 0);
+
+  const allocations = placed.map(c => {
+    const dos = daysOfSupply(c, c.facings);
+    const capacity = c.facings * c.unitsDeep;
+
+    return {
+      variantId: c.variantId,
+      name: c.name,
+      facings: c.facings,
+      unitsOnShelf: capacity,
+      unitsPerWeek: Math.round(c.unitsPerWeek * 10) / 10,
+      revenuePerWeek: Math.round(c.revenuePerWeek * 100) / 100,
+      salesShare: totalWeight > 0 ? Math.round((weightOf(c) / totalWeight) * 1000) / 1000 : 0,
+      spaceShare: Math.round((c.facings * c.unitWidth / totalWidth) * 1000) / 1000,
+      daysOfSupply: Number.isFinite(dos) ? Math.round(dos * 10) / 10 : null,
+      explanation: Number.isFinite(dos)
+        ? `${c.facings} facing${c.facings === 1 ? '' : 's'} = ${dos.toFixed(1)} days of supply at ${c.unitsPerWeek.toFixed(1)} units/week`
+        : `${c.facings} facing${c.facings === 1 ? '' : 's'} (minimum) - no sales in lookback window`
+    };
+  });
+
+  return {
+    shelves: packed.map(({ used, ...s }) => ({ ...s, usedWidth: Math.round(used * 100) / 100 })),
+    allocations,
+    unplaced
+  };
+}
+
+// Suggest a planogram for a fixture/shelf (or inline shelves) and a set of candidate products
+app.post('/api/planograms/suggest', requireRole('merchandiser'), async (req, res) => {
+  const {
+    fixtureId,
+    shelfId,
+    shelves: inlineShelves,
+    products: inputProducts,
+    basis = 'units',
+    lookbackDays = 28,
+    daysOfSupplyTarget = null,
+    minFacings: defaultMin = 1,
+    maxFacings: defaultMax = 10
+  } = req.body;
+
+  if (!['units', 'revenue'].includes(basis)) {
+    return res.status(400).json({ error: 'basis must be "units" or "revenue"' });
+  }
+
+  const lookback = Number(lookbackDays);
+  if (!Number.isInteger(lookback) || lookback < 1 || lookback > 730) {
+    return res.status(400).json({ error: 'lookbackDays must be a whole number of days from 1 to 730' });
+  }
+
+  const minDefault = Number(defaultMin);
+  const maxDefault = Number(defaultMax);
+  if (!Number.isInteger(minDefault) || minDefault < 1) {
+    return res.status(400).json({ error: 'minFacings must be a positive integer' });
+  }
+  if (!Number.isInteger(maxDefault) || maxDefault < minDefault) {
+    return res.status(400).json({ error: 'maxFacings must be an integer no smaller than minFacings' });
+  }
+
+  if (daysOfSupplyTarget != null && !(parseFloat(daysOfSupplyTarget) > 0)) {
+    return res.status(400).json({ error: 'daysOfSupplyTarget must be a positive number' });
+  }
+
+  try {
+    console.log('🧮 Building suggested planogram...');
+
+    // 1. Shelf definition
+    let shelves = [];
+    let currentFacings = [];
+
+    if (Array.isArray(inlineShelves) && inlineShelves.length > 0) {
+      shelves = inlineShelves.map((s, i) => ({
+        shelfNumber: s.shelfNumber ?? i + 1,
+        width: parseFloat(s.width),
+        depth: s.depth != null ? parseFloat(s.depth) : null
+      }));
+    } else if (fixtureId || shelfId) {
+      if (!(await inRequestShop(req, shelfId ? 'shelfId' : 'fixtureId', shelfId || fixtureId))) {
+        return res.status(404).json({ error: 'Not found in this shop' });
+      }
+
+      const shelfResult = shelfId
+        ? await pool.query('SELECT * FROM shelves WHERE shelf_id = $1', [shelfId])
+        : await pool.query('SELECT * FROM shelves WHERE fixture_id = $1 ORDER BY shelf_number', [fixtureId]);
+
+      shelves = shelfResult.rows.map(s => ({
+        shelfNumber: s.shelf_number,
+        width: parseFloat(s.width),
+        depth: s.depth != null ? parseFloat(s.depth) : null
+      }));
+
+      const facingResult = await pool.query(`
+        SELECT f.* FROM facings f
+        WHERE f.shelf_id = ANY($1)
+      `, [shelfResult.rows.map(s => s.shelf_id)]);
+      currentFacings = facingResult.rows;
+    }
+
+    if (shelves.length === 0 || shelves.some(s => !(s.width > 0))) {
+      return res.status(400).json({ error: 'Provide fixtureId, shelfId or shelves with positive widths' });
+    }
+
+    // 2. Candidate products (default: whatever is on the fixture now)
+    const candidatesInput = Array.isArray(inputProducts) && inputProducts.length > 0
+      ? inputProducts
+      : [...new Map(currentFacings.map(f => [f.variant_id, { variantId: f.variant_id }])).values()];
+
+    if (candidatesInput.length === 0) {
+      return res.status(400).json({ error: 'products array is required' });
+    }
+
+    const variantIds = candidatesInput.map(p => String(p.variantId));
+
+    // Fall back to widths already used on any planogram
+    const knownWidths = await pool.query(`
+      SELECT DISTINCT ON (variant_id) variant_id, unit_width
+      FROM facings
+      WHERE variant_id = ANY($1)
+      ORDER BY variant_id, facing_id DESC
+    `, [variantIds]);
+    const widthByVariant = Object.fromEntries(knownWidths.rows.map(r => [r.variant_id, parseFloat(r.unit_width)]));
+
+    const productResult = await pool.query(
+      'SELECT variant_id, title, variant_title FROM products WHERE variant_id = ANY($1)',
+      [variantIds]
+    );
+    const productById = Object.fromEntries(productResult.rows.map(p => [p.variant_id, p]));
+
+    // 3. Velocity from order history
+    const salesResult = await pool.query(`
+      SELECT oi.variant_id, SUM(oi.quantity) as units, SUM(oi.quantity * oi.price) as revenue
+      FROM order_items oi
+      JOIN orders o ON o.order_id = oi.order_id
+      WHERE oi.variant_id = ANY($1)
+        AND o.order_date >= NOW() - make_interval(days => $2)
+      GROUP BY oi.variant_id
+    `, [variantIds, lookback]);
+    const salesById = Object.fromEntries(salesResult.rows.map(r => [r.variant_id, r]));
+    const weeks = lookback / 7;
+
+    const shelfDepth = Math.min(...shelves.map(s => s.depth ?? Infinity));
+    const rejected = [];
+    const candidates = [];
+
+    candidatesInput.forEach(p => {
+      const variantId = String(p.variantId);
+      const product = productById[variantId];
+      const unitWidth = parseFloat(p.unitWidth ?? widthByVariant[variantId]);
+
+      if (!(unitWidth > 0)) {
+        rejected.push({ variantId, reason: 'Missing unitWidth' });
+        return;
+      }
+
+      const unitsDeep = p.depthCount
+        ?? (p.unitDepth && Number.isFinite(shelfDepth) ? Math.max(1, Math.floor(shelfDepth / p.unitDepth)) : 1);
+      const minFacings = Math.max(1, parseInt(p.minFacings ?? minDefault));
+      const maxFacings = parseInt(p.maxFacings ?? maxDefault);
+      if (Number.isNaN(minFacings) || Number.isNaN(maxFacings)) {
+        rejected.push({ variantId, reason: 'Invalid minFacings/maxFacings' });
+        return;
+      }
+
+      const sales = salesById[variantId];
+
+      candidates.push({
+        variantId,
+        name: product ? (product.variant_title ? `${product.title} - ${product.variant_title}` : product.title) : null,
+        unitWidth,
+        unitsDeep,
+        minFacings,
+        maxFacings: Math.max(minFacings, maxFacings),
+        unitsPerWeek: parseInt(sales?.units || 0) / weeks,
+        revenuePerWeek: parseFloat(sales?.revenue || 0) / weeks
+      });
+    });
+
+    const result = allocateShelfSpace(shelves, candidates, {
+      basis,
+      daysOfSupplyTarget: daysOfSupplyTarget != null ? parseFloat(daysOfSupplyTarget) : null
+    });
+
+    console.log(`✅ Suggested ${result.allocations.length} placements, ${result.unplaced.length + rejected.length} not placed`);
+
+    res.json({
+      basis,
+      lookbackDays: parseInt(lookbackDays),
+      daysOfSupplyTarget,
+      shelves: result.shelves,
+      allocations: result.allocations,
+      unplaced: [...rejected, ...result.unplaced],
+      summary: {
+        totalWidth: shelves.reduce((sum, s) => sum + s.width, 0),
+        usedWidth: result.shelves.reduce((sum, s) => sum + s.usedWidth, 0),
+        productsPlaced: result.allocations.length,
+        productsUnplaced: result.unplaced.length + rejected.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Planogram suggestion error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ---------- Adjacency ----------
+
+// Center point of every placement, in inches. Shelves without a
+// height_from_floor are assumed to be 12" apart.
+function getPlacementPoints(layout) {
+  const points = {};
+
+  (layout?.shelves || []).forEach(shelf => {
+    const y = shelf.heightFromFloor ?? shelf.shelfNumber * 12;
+
+    shelf.facings.forEach(f => {
+      const x = f.positionX + (f.unitWidth * f.facingsCount) / 2;
+      if (!points[f.variantId]) points[f.variantId] = { name: f.name, spots: [] };
+      points[f.variantId].spots.push({ shelfNumber: shelf.shelfNumber, x, y });
+    });
+  });
+
+  return points;
+}
+
+// Closest distance between any placement of a and any placement of b
+function placementDistance(a, b) {
+  let best = Infinity;
+  a.spots.forEach(pa => {
+    b.spots.forEach(pb => {
+      best = Math.min(best, Math.hypot(pa.x - pb.x, pa.y - pb.y));
+    });
+  });
+  return best;
+}
+
+// Order products so strongly co-purchased items end up side by side:
+// start from the strongest pair and keep extending either end of the chain.
+function buildAdjacencySequence(variantIds, pairs) {
+  const strength = {};
+  pairs.forEach(p => {
+    strength[`${p.a}|${p.b}`] = p.strength;
+    strength[`${p.b}|${p.a}`] = p.strength;
+  });
+  const get = (a, b) => strength[`${a}|${b}`] || 0;
+
+  const remaining = new Set(variantIds);
+  const sequence = [];
+
+  if (pairs.length > 0) {
+    const [first] = pairs;
+    sequence.push(first.a, first.b);
+    remaining.delete(first.a);
+    remaining.delete(first.b);
+  }
+
+  while (remaining.size > 0) {
+    let best = null;
+
+    remaining.forEach(id => {
+      const head = sequence.length > 0 ? get(id, sequence[0]) : 0;
+      const tail = sequence.length > 0 ? get(id, sequence[sequence.length - 1]) : 0;
+      const score = Math.max(head, tail);
+      if (!best || score > best.score) best = { id, score, atHead: head > tail };
+    });
+
+    if (best.atHead) sequence.unshift(best.id);
+    else sequence.push(best.id);
+    remaining.delete(best.id);
+  }
+
+  return sequence;
+}
+
+// Use co-purchase pairs to suggest neighbours on a fixture and flag split pairs.
+// Pairs rank by lift so best-sellers don't dominate just by selling a lot;
+// minCount is the co-purchase floor and pairs with lift <= 1 (bought together
+// no more than chance) are left out.
+app.get('/api/fixtures/:fixtureId/adjacency', requireRole('viewer'), async (req, res) => {
+  const version = req.query.version || 'draft';
+  const maxDistance = parseFloat(req.query.maxDistance) || 24;
+  const minCount = parseInt(req.query.minCount) || 2;
+
+  const versionError = validateVersionParam(version);
+  if (versionError) {
+    return res.status(400).json({ error: versionError });
+  }
+
+  try {
+    console.log(`🧲 Adjacency analysis for fixture ${req.params.fixtureId} (${version})...`);
+
+    const layoutVersion = await getLayoutVersion(req.params.fixtureId, version);
+    if (!layoutVersion) {
+      return res.status(404).json({ error: 'Fixture or version not found' });
+    }
+
+    const points = getPlacementPoints(layoutVersion.layout);
+    const variantIds = Object.keys(points);
+
+    if (variantIds.length < 2) {
+      return res.json({
+        version: layoutVersion.versionNumber,
+        maxDistance,
+        pairs: [],
+        farApart: [],
+        bestNeighbours: {},
+        suggestedSequence: variantIds.map(id => ({ variantId: id, name: points[id].name })),
+        summary: { productsOnFixture: variantIds.length, correlatedPairs: 0, adjacentPairs: 0, farApartPairs: 0 }
+      });
+    }
+
+    const result = await pool.query(`
+      SELECT variant_a_id, variant_b_id, co_purchase_count, correlation_score, lift
+      FROM product_correlations
+      WHERE variant_a_id = ANY($1)
+        AND variant_b_id = ANY($1)
+        AND co_purchase_count >= $2
+        AND lift > 1
+      ORDER BY lift DESC, co_purchase_count DESC
+    `, [variantIds, minCount]);
+
+    const pairs = result.rows.map(r => {
+      const distance = placementDistance(points[r.variant_a_id], points[r.variant_b_id]);
+
+      return {
+        a: r.variant_a_id,
+        b: r.variant_b_id,
+        productA: { variantId: r.variant_a_id, name: points[r.variant_a_id].name },
+        productB: { variantId: r.variant_b_id, name: points[r.variant_b_id].name },
+        timesBoughtTogether: parseInt(r.co_purchase_count),
+        correlationScore: parseFloat(r.correlation_score || 0),
+        lift: parseFloat(r.lift),
+        strength: parseFloat(r.lift),
+        distance: Math.round(distance * 10) / 10,
+        adjacent: distance <= maxDistance
       };
     });
 
-    const criticalAlerts = products.filter(p => p.inventoryQuantity < 0 || p.inventoryQuantity === 0).length;
-    const avgVelocity = products.reduce((sum, p) => sum + (p.monthlySales / 30), 0) / products.length;
+    const farApart = pairs
+      .filter(p => !p.adjacent)
+      .map(p => ({
+        ...p,
+        recommendation: `Move ${p.productA.name || p.a} and ${p.productB.name || p.b} within ${maxDistance}" (currently ${p.distance}" apart, bought together ${p.timesBoughtTogether}x)`
+      }));
+
+    // Strongest partners for each product on the fixture
+    const neighbours = {};
+    pairs.forEach(p => {
+      (neighbours[p.a] ||= []).push({ variantId: p.b, name: p.productB.name, strength: p.strength, adjacent: p.adjacent });
+      (neighbours[p.b] ||= []).push({ variantId: p.a, name: p.productA.name, strength: p.strength, adjacent: p.adjacent });
+    });
+
+    const suggestedSequence = buildAdjacencySequence(variantIds, pairs).map(id => ({
+      variantId: id,
+      name: points[id].name
+    }));
+
+    console.log(`✅ ${pairs.length} correlated pairs on fixture, ${farApart.length} far apart`);
+
+    res.json({
+      version: layoutVersion.versionNumber,
+      maxDistance,
+      pairs: pairs.map(({ a, b, ...p }) => p),
+      farApart: farApart.map(({ a, b, ...p }) => p),
+      bestNeighbours: Object.fromEntries(
+        Object.entries(neighbours).map(([id, list]) => [id, list.sort((x, y) => y.strength - x.strength).slice(0, 5)])
+      ),
+      suggestedSequence,
+      summary: {
+        productsOnFixture: variantIds.length,
+        correlatedPairs: pairs.length,
+        adjacentPairs: pairs.length - farApart.length,
+        farApartPairs: farApart.length
+      }
+    });
+  } catch (error) {
+    console.error('❌ Adjacency error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================================
+// 🚚 PURCHASING - distributor settings, reorder points and POs
+// Products belong to COALESCE(distributor, vendor). Suggested
+// quantities follow an order-up-to policy:
+//   order-up-to = daily demand x (lead time + review period) + safety stock
+// rounded up to whole case packs.
+// ==========================================================
+
+const DISTRIBUTOR_SQL = `COALESCE(NULLIF(p.distributor, ''), NULLIF(p.vendor, ''), 'Unassigned')`;
+
+const DEFAULT_DISTRIBUTOR_SETTINGS = {
+  lead_time_days: 7,
+  order_days: [],
+  min_order_value: 0,
+  default_case_pack: 1,
+  safety_stock_days: 3
+};
+
+function formatDistributorSettings(name, s = {}) {
+  const settings = { ...DEFAULT_DISTRIBUTOR_SETTINGS, ...s };
+  return {
+    name,
+    leadTimeDays: settings.lead_time_days,
+    orderDays: settings.order_days || [],
+    minOrderValue: parseFloat(settings.min_order_value || 0),
+    defaultCasePack: settings.default_case_pack,
+    safetyStockDays: parseFloat(settings.safety_stock_days),
+    configured: Boolean(s.distributor_name)
+  };
+}
+
+// Suggested order lines grouped by distributor
+async function buildPurchaseSuggestions(shop, distributorFilter = null) {
+  const { shop_id: shopId } = shop;
+  const { timeZone } = getShopCalendar(shop);
+
+  const [productsResult, settingsResult, casePackResult] = await Promise.all([
+    pool.query(`
+      SELECT
+        p.variant_id, p.title, p.variant_title, p.sku, p.barcode,
+        COALESCE(p.cost, 0) as cost,
+        COALESCE(p.inventory_quantity, 0) as on_hand,
+        ${DISTRIBUTOR_SQL} as distributor,
+        COALESCE(sd.net_monthly_sales, 0) as monthly_units,
+        COALESCE(sd.net_weekly_sales, 0) as weekly_units,
+        COALESCE(po.on_order, 0) as on_order
+      FROM products p
+      LEFT JOIN sales_data sd ON sd.variant_id = p.variant_id
+      LEFT JOIN (
+        SELECT pol.variant_id, SUM(pol.quantity) as on_order
+        FROM purchase_order_lines pol
+        JOIN purchase_orders po ON po.po_id = pol.po_id
+        WHERE po.status = 'sent'
+        GROUP BY pol.variant_id
+      ) po ON po.variant_id = p.variant_id
+      WHERE p.is_deleted IS NOT TRUE
+        AND p.shop_id = $2
+        AND ($1::text IS NULL OR ${DISTRIBUTOR_SQL} = $1)
+    `, [distributorFilter, shopId]),
+    pool.query('SELECT * FROM distributor_settings WHERE shop_id = $1', [shopId]),
+    pool.query('SELECT * FROM distributor_case_packs WHERE shop_id = $1', [shopId])
+  ]);
+
+  const settingsByName = Object.fromEntries(settingsResult.rows.map(s => [s.distributor_name, s]));
+  const casePacks = Object.fromEntries(casePackResult.rows.map(c => [c.variant_id, c.case_pack]));
+  const groups = {};
+
+  productsResult.rows.forEach(p => {
+    const settings = formatDistributorSettings(p.distributor, settingsByName[p.distributor]);
+    const schedule = getOrderSchedule(settings.orderDays, timeZone);
+
+    // Trailing 30-day velocity, nudged toward the last week if it's running hotter
+    const monthlyRate = parseInt(p.monthly_units) / 30;
+    const weeklyRate = parseInt(p.weekly_units) / 7;
+    const dailyDemand = Math.max(monthlyRate, (monthlyRate + weeklyRate) / 2);
+    if (dailyDemand <= 0) return;
+
+    const safetyStock = dailyDemand * settings.safetyStockDays;
+    const leadTimeDemand = dailyDemand * (settings.leadTimeDays + schedule.daysUntilNextOrder);
+    const reorderPoint = leadTimeDemand + safetyStock;
+    const orderUpTo = dailyDemand * (settings.leadTimeDays + schedule.daysUntilNextOrder + schedule.reviewPeriodDays) + safetyStock;
+    const position = parseInt(p.on_hand) + parseInt(p.on_order);
+
+    if (position >= orderUpTo) return;
+
+    const casePack = casePacks[p.variant_id] || settings.defaultCasePack || 1;
+    const cases = Math.ceil((orderUpTo - position) / casePack);
+    const quantity = cases * casePack;
+    const unitCost = parseFloat(p.cost);
+
+    if (!groups[p.distributor]) {
+      groups[p.distributor] = { distributor: settings, schedule, lines: [] };
+    }
+
+    groups[p.distributor].lines.push({
+      variantId: p.variant_id,
+      name: p.variant_title ? `${p.title} - ${p.variant_title}` : p.title,
+      sku: p.sku,
+      barcode: p.barcode,
+      onHand: parseInt(p.on_hand),
+      onOrder: parseInt(p.on_order),
+      dailyDemand: Math.round(dailyDemand * 100) / 100,
+      reorderPoint: Math.ceil(reorderPoint),
+      orderUpTo: Math.ceil(orderUpTo),
+      belowReorderPoint: position <= reorderPoint,
+      casePack,
+      cases,
+      quantity,
+      unitCost,
+      lineCost: Math.round(quantity * unitCost * 100) / 100,
+      daysOfSupplyAfterOrder: Math.round(((position + quantity) / dailyDemand) * 10) / 10
+    });
+  });
+
+  return Object.values(groups).map(group => {
+    const totalCost = Math.round(group.lines.reduce((sum, l) => sum + l.lineCost, 0) * 100) / 100;
+    const shortfall = Math.max(0, group.distributor.minOrderValue - totalCost);
+
+    return {
+      ...group,
+      lines: group.lines.sort((a, b) => Number(b.belowReorderPoint) - Number(a.belowReorderPoint) || b.dailyDemand - a.dailyDemand),
+      totalCost,
+      totalUnits: group.lines.reduce((sum, l) => sum + l.quantity, 0),
+      meetsMinimum: shortfall === 0,
+      minimumShortfall: Math.round(shortfall * 100) / 100
+    };
+  }).sort((a, b) => b.totalCost - a.totalCost);
+}
+
+async function getPurchaseOrder(poId) {
+  const poResult = await pool.query('SELECT * FROM purchase_orders WHERE po_id = $1', [poId]);
+  if (poResult.rows.length === 0) return null;
+
+  const linesResult = await pool.query(`
+    SELECT pol.*, p.title, p.variant_title, p.sku, p.barcode
+    FROM purchase_order_lines pol
+    LEFT JOIN products p ON p.variant_id = pol.variant_id
+    WHERE pol.po_id = $1
+    ORDER BY pol.line_id
+  `, [poId]);
+
+  const po = poResult.rows[0];
+  return {
+    id: po.po_id,
+    shopId: po.shop_id,
+    distributor: po.distributor_name,
+    status: po.status,
+    notes: po.notes,
+    totalCost: parseFloat(po.total_cost || 0),
+    createdAt: po.created_at,
+    sentAt: po.sent_at,
+    receivedAt: po.received_at,
+    lines: linesResult.rows.map(l => ({
+      variantId: l.variant_id,
+      name: l.title ? (l.variant_title ? `${l.title} - ${l.variant_title}` : l.title) : null,
+      sku: l.sku,
+      barcode: l.barcode,
+      casePack: l.case_pack,
+      cases: l.cases,
+      quantity: l.quantity,
+      unitCost: parseFloat(l.unit_cost || 0),
+      lineCost: parseFloat(l.line_cost || 0)
+    }))
+  };
+}
+
+// Distributors found on products, merged with their saved settings
+app.get('/api/distributors', requireRole('viewer'), requireShop, async (req, res) => {
+  try {
+    const [namesResult, settingsResult] = await Promise.all([
+      pool.query(`
+        SELECT ${DISTRIBUTOR_SQL} as name, COUNT(*) as products
+        FROM products p
+        WHERE p.is_deleted IS NOT TRUE AND p.shop_id = $1
+        GROUP BY 1
+        ORDER BY 1
+      `, [req.shop.shop_id]),
+      pool.query('SELECT * FROM distributor_settings WHERE shop_id = $1', [req.shop.shop_id])
+    ]);
+
+    const settingsByName = Object.fromEntries(settingsResult.rows.map(s => [s.distributor_name, s]));
+
+    res.json({
+      distributors: namesResult.rows.map(r => ({
+        ...formatDistributorSettings(r.name, settingsByName[r.name]),
+        products: parseInt(r.products)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Distributors error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/distributors/:name', requireRole('merchandiser'), requireShop, async (req, res) => {
+  const { leadTimeDays, orderDays, minOrderValue, defaultCasePack, safetyStockDays } = req.body;
+
+  if (orderDays != null && (!Array.isArray(orderDays) || orderDays.some(d => !WEEKDAYS.includes(d)))) {
+    return res.status(400).json({ error: `orderDays must be an array of: ${WEEKDAYS.join(', ')}` });
+  }
+  if (defaultCasePack != null && !(parseInt(defaultCasePack) >= 1)) {
+    return res.status(400).json({ error: 'defaultCasePack must be at least 1' });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO distributor_settings (
+        distributor_name, lead_time_days, order_days, min_order_value, default_case_pack, safety_stock_days, shop_id
+      ) VALUES ($1, COALESCE($2, 7), COALESCE($3, '{}'), COALESCE($4, 0), COALESCE($5, 1), COALESCE($6, 3), $7)
+      ON CONFLICT (shop_id, distributor_name) DO UPDATE SET
+        lead_time_days = COALESCE($2, distributor_settings.lead_time_days),
+        order_days = COALESCE($3, distributor_settings.order_days),
+        min_order_value = COALESCE($4, distributor_settings.min_order_value),
+        default_case_pack = COALESCE($5, distributor_settings.default_case_pack),
+        safety_stock_days = COALESCE($6, distributor_settings.safety_stock_days),
+        updated_at = NOW()
+      RETURNING *
+    `, [req.params.name, leadTimeDays ?? null, orderDays ?? null, minOrderValue ?? null, defaultCasePack ?? null, safetyStockDays ?? null, req.shop.shop_id]);
+
+    console.log(`🚚 Saved settings for distributor ${req.params.name}`);
+    res.json({ distributor: formatDistributorSettings(req.params.name, result.rows[0]) });
+  } catch (error) {
+    console.error('❌ Distributor settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-variant case packs for a distributor: { casePacks: { variantId: size } }
+app.put('/api/distributors/:name/case-packs', requireRole('merchandiser'), requireShop, async (req, res) => {
+  const { casePacks } = req.body;
+
+  if (!casePacks || typeof casePacks !== 'object') {
+    return res.status(400).json({ error: 'casePacks object is required' });
+  }
+
+  const invalid = Object.entries(casePacks).find(([, size]) => size != null && !(parseInt(size) >= 1));
+  if (invalid) {
+    return res.status(400).json({ error: `Case pack for ${invalid[0]} must be at least 1` });
+  }
+
+  try {
+    for (const [variantId, size] of Object.entries(casePacks)) {
+      // null clears the override so the distributor default applies
+      if (size == null) {
+        await pool.query('DELETE FROM distributor_case_packs WHERE variant_id = $1 AND shop_id = $2', [variantId, req.shop.shop_id]);
+        continue;
+      }
+
+      await pool.query(`
+        INSERT INTO distributor_case_packs (variant_id, distributor_name, case_pack, shop_id)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (variant_id) DO UPDATE SET
+          distributor_name = EXCLUDED.distributor_name,
+          case_pack = EXCLUDED.case_pack,
+          shop_id = EXCLUDED.shop_id
+      `, [variantId, req.params.name, parseInt(size), req.shop.shop_id]);
+    }
+
+    res.json({ success: true, updated: Object.keys(casePacks).length });
+  } catch (error) {
+    console.error('❌ Case pack error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Suggested POs. Query: distributor, format=csv
+app.get('/api/purchase-orders/suggestions', requireRole('viewer'), requireShop, async (req, res) => {
+  try {
+    console.log(`🚚 Building purchase order suggestions for ${req.shop.shop_domain}...`);
+    const suggestions = await buildPurchaseSuggestions(req.shop, req.query.distributor || null);
+
+    if (req.query.format === 'csv') {
+      const header = ['Distributor', 'SKU', 'Barcode', 'Product', 'Cases', 'Case Pack', 'Quantity', 'Unit Cost', 'Line Cost'];
+      const rows = suggestions.flatMap(s => s.lines.map(l => [
+        s.distributor.name, l.sku, l.barcode, l.name, l.cases, l.casePack, l.quantity, l.unitCost.toFixed(2), l.lineCost.toFixed(2)
+      ]));
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="suggested-purchase-orders.csv"');
+      return res.send([header, ...rows].map(r => r.map(csvCell).join(',')).join('\n'));
+    }
+
+    console.log(`✅ Suggested orders for ${suggestions.length} distributors`);
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('❌ PO suggestions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a draft PO. Lines default to the current suggestion for that distributor.
+app.post('/api/purchase-orders', requireRole('merchandiser'), requireShop, async (req, res) => {
+  const { distributor, lines: inputLines, notes } = req.body;
+
+  if (!distributor) {
+    return res.status(400).json({ error: 'distributor is required' });
+  }
+
+  if (inputLines != null) {
+    const lineError = Array.isArray(inputLines) ? validatePurchaseOrderLines(inputLines) : 'lines must be an array';
+    if (lineError) {
+      return res.status(400).json({ error: lineError });
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    let lines = inputLines;
+    if (!Array.isArray(lines)) {
+      const [suggestion] = await buildPurchaseSuggestions(req.shop, distributor);
+      lines = suggestion?.lines || [];
+    }
+
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Nothing to order' });
+    }
+
+    await client.query('BEGIN');
+
+    const poResult = await client.query(`
+      INSERT INTO purchase_orders (distributor_name, status, notes, shop_id)
+      VALUES ($1, 'draft', $2, $3)
+      RETURNING po_id
+    `, [distributor, notes || null, req.shop.shop_id]);
+    const poId = poResult.rows[0].po_id;
+
+    for (const line of lines) {
+      const casePack = parseInt(line.casePack) || 1;
+      const quantity = parseInt(line.quantity ?? (line.cases * casePack));
+      const unitCost = parseFloat(line.unitCost || 0);
+
+      await client.query(`
+        INSERT INTO purchase_order_lines (po_id, variant_id, case_pack, cases, quantity, unit_cost, line_cost)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [poId, String(line.variantId), casePack, Math.ceil(quantity / casePack), quantity, unitCost, quantity * unitCost]);
+    }
+
+    await client.query(`
+      UPDATE purchase_orders
+      SET total_cost = (SELECT COALESCE(SUM(line_cost), 0) FROM purchase_order_lines WHERE po_id = $1)
+      WHERE po_id = $1
+    `, [poId]);
+
+    await client.query('COMMIT');
+
+    console.log(`📝 Created draft PO ${poId} for ${distributor} (${lines.length} lines)`);
+    res.status(201).json({ purchaseOrder: await getPurchaseOrder(poId) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Create PO error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/purchase-orders', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT po.*, COUNT(pol.line_id) as line_count, COALESCE(SUM(pol.quantity), 0) as total_units
+      FROM purchase_orders po
+      LEFT JOIN purchase_order_lines pol ON pol.po_id = po.po_id
+      WHERE ($1::text IS NULL OR po.status = $1)
+        AND ($2::text IS NULL OR po.distributor_name = $2)
+        AND ($3::int IS NULL OR po.shop_id = $3)
+      GROUP BY po.po_id
+      ORDER BY po.created_at DESC
+    `, [req.query.status || null, req.query.distributor || null, shopScope(req)]);
+
+    res.json({
+      purchaseOrders: result.rows.map(po => ({
+        id: po.po_id,
+        shopId: po.shop_id,
+        distributor: po.distributor_name,
+        status: po.status,
+        totalCost: parseFloat(po.total_cost || 0),
+        lineCount: parseInt(po.line_count),
+        totalUnits: parseInt(po.total_units),
+        createdAt: po.created_at,
+        sentAt: po.sent_at,
+        receivedAt: po.received_at
+      }))
+    });
+  } catch (error) {
+    console.error('❌ List POs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/purchase-orders/:poId', requireRole('viewer'), async (req, res) => {
+  try {
+    const purchaseOrder = await getPurchaseOrder(req.params.poId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json({ purchaseOrder });
+  } catch (error) {
+    console.error('❌ Get PO error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/purchase-orders/:poId/csv', requireRole('viewer'), async (req, res) => {
+  try {
+    const po = await getPurchaseOrder(req.params.poId);
+    if (!po) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
 
-    console.log(`✅ Returning ${products.length} products`);
+    const header = ['SKU', 'Barcode', 'Product', 'Cases', 'Case Pack', 'Quantity', 'Unit Cost', 'Line Cost'];
+    const rows = po.lines.map(l => [
+      l.sku, l.barcode, l.name, l.cases, l.casePack, l.quantity, l.unitCost.toFixed(2), l.lineCost.toFixed(2)
+    ]);
+    rows.push(['', '', 'TOTAL', '', '', po.lines.reduce((sum, l) => sum + l.quantity, 0), '', po.totalCost.toFixed(2)]);
 
-    res.json({ 
-      products,
-      summary: {
-        totalProducts: products.length,
-        criticalAlerts,
-        avgVelocity: avgVelocity.toFixed(2)
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="po-${po.id}-${po.distributor.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.csv"`);
+    res.send([header, ...rows].map(r => r.map(csvCell).join(',')).join('\n'));
+  } catch (error) {
+    console.error('❌ PO CSV error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a PO through draft -> sent -> received (or cancelled)
+app.put('/api/purchase-orders/:poId/status', requireRole('merchandiser'), async (req, res) => {
+  const { status } = req.body;
+
+  if (!PO_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${PO_STATUSES.join(', ')}` });
+  }
+
+  const fromStatuses = statusesMovableTo(status);
+
+  try {
+    // The status check is part of the update so concurrent changes can't skip a step
+    const result = await pool.query(`
+      UPDATE purchase_orders SET
+        status = $2,
+        sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END,
+        received_at = CASE WHEN $2 = 'received' THEN NOW() ELSE received_at END
+      WHERE po_id = $1 AND status = ANY($3)
+      RETURNING po_id
+    `, [req.params.poId, status, fromStatuses]);
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT status FROM purchase_orders WHERE po_id = $1', [req.params.poId]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Purchase order not found' });
       }
+      return res.status(409).json({ error: `Can't move a ${existing.rows[0].status} purchase order to ${status}` });
+    }
+
+    console.log(`🚚 PO ${req.params.poId} marked ${status}`);
+    res.json({ purchaseOrder: await getPurchaseOrder(req.params.poId) });
+  } catch (error) {
+    console.error('❌ PO status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/purchase-orders/:poId', requireRole('merchandiser'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM purchase_orders WHERE po_id = $1 AND status = 'draft'",
+      [req.params.poId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Draft purchase order not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Delete PO error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==========================================================
+// 📉 STOCKOUTS - inventory history, days out of stock, lost sales
+// ==========================================================
+
+const INVENTORY_SNAPSHOT_INTERVAL_MS = (parseFloat(process.env.INVENTORY_SNAPSHOT_INTERVAL_HOURS) || 1) * 60 * 60 * 1000;
+
+const STOCKOUT_GROUPS = {
+  variant: { key: 'variant_id', label: r => (r.variant_title ? `${r.title} - ${r.variant_title}` : r.title) },
+  product: { key: 'product_id', label: r => r.title },
+  vendor: { key: 'vendor', label: r => r.vendor || 'Unknown' },
+  distributor: { key: 'distributor', label: r => r.distributor }
+};
+
+// Take a snapshot now instead of waiting for the interval
+app.post('/api/inventory/snapshot', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await snapshotInventory({ shopId: shopScope(req) });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('❌ Inventory snapshot error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stock history and stockout intervals for one variant
+app.get('/api/inventory/history/:variantId', requireRole('viewer'), async (req, res) => {
+  const days = Math.min(parseInt(req.query.days) || 90, 730);
+
+  try {
+    const [snapshots, stockouts] = await Promise.all([
+      pool.query(`
+        SELECT snapshot_at, quantity
+        FROM inventory_snapshots
+        WHERE variant_id = $1 AND snapshot_at >= NOW() - make_interval(days => $2)
+        ORDER BY snapshot_at
+      `, [req.params.variantId, days]),
+      pool.query(`
+        SELECT started_at, ended_at, daily_velocity
+        FROM stockouts
+        WHERE variant_id = $1 AND COALESCE(ended_at, NOW()) >= NOW() - make_interval(days => $2)
+        ORDER BY started_at
+      `, [req.params.variantId, days])
+    ]);
+
+    res.json({
+      variantId: req.params.variantId,
+      snapshots: snapshots.rows.map(s => ({ at: s.snapshot_at, quantity: s.quantity })),
+      stockouts: stockouts.rows.map(s => {
+        const daysOut = (new Date(s.ended_at || Date.now()) - new Date(s.started_at)) / 86400000;
+        return {
+          startedAt: s.started_at,
+          endedAt: s.ended_at,
+          ongoing: !s.ended_at,
+          daysOut: Math.round(daysOut * 10) / 10,
+          estimatedLostUnits: Math.round(daysOut * parseFloat(s.daily_velocity) * 10) / 10
+        };
+      })
     });
   } catch (error) {
-    console.error('❌ Products error:', error.message);
-    console.error('   Stack:', error.stack);
+    console.error('❌ Inventory history error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get hot products that are out of stock
-app.get('/api/products/hot-out-of-stock', async (req, res) => {
+// Days out of stock, estimated lost sales and in-stock rate
+// Query: groupBy=variant|product|vendor|distributor (default variant), from/to (default last 30 days), limit, shop
+app.get('/api/inventory/stockouts', requireRole('viewer'), async (req, res) => {
+  const groupBy = req.query.groupBy || 'variant';
+  const limit = Math.min(parseInt(req.query.limit) || 100, 5000);
+
+  if (!STOCKOUT_GROUPS[groupBy]) {
+    return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(STOCKOUT_GROUPS).join(', ')}` });
+  }
+
+  // Plain dates are shop-local days, `to` inclusive
+  let range;
   try {
-    console.log('🔥 Fetching hot products that are out of stock...');
-    
-    // Find products that:
-    // 1. Have been ordered frequently (from order_items)
-    // 2. Have low/zero inventory (from products)
+    range = resolveRange(req.query.from, req.query.to, getShopCalendar(req.shop).timeZone);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const to = range.to || new Date();
+  const from = range.from || new Date(to.getTime() - 30 * 86400000);
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+
+  try {
+    console.log(`📉 Fetching stockouts by ${groupBy}...`);
+
+    // Each variant is only measured from its first snapshot, so new history
+    // doesn't count as in stock for days we never observed
     const result = await pool.query(`
-      WITH product_sales AS (
-        SELECT 
-          oi.variant_id,
-          oi.title,
-          oi.variant_title,
-          COUNT(DISTINCT oi.order_id) as times_ordered,
-          SUM(oi.quantity) as total_quantity_sold,
-          AVG(oi.price) as avg_price
-        FROM order_items oi
-        WHERE oi.variant_id IS NOT NULL
-        GROUP BY oi.variant_id, oi.title, oi.variant_title
-        HAVING COUNT(DISTINCT oi.order_id) >= 3  -- Ordered at least 3 times
+      WITH bounds AS (
+        SELECT $1::timestamptz as window_start, LEAST($2::timestamptz, NOW()) as window_end
+      ),
+      tracked AS (
+        SELECT s.variant_id, GREATEST(MIN(s.snapshot_at), b.window_start) as tracked_from
+        FROM inventory_snapshots s
+        CROSS JOIN bounds b
+        WHERE s.snapshot_at < b.window_end
+        GROUP BY s.variant_id, b.window_start
+      ),
+      outages AS (
+        SELECT
+          s.variant_id,
+          COUNT(*) as stockouts,
+          BOOL_OR(s.ended_at IS NULL) as currently_out,
+          SUM(EXTRACT(EPOCH FROM LEAST(COALESCE(s.ended_at, NOW()), b.window_end) - GREATEST(s.started_at, b.window_start)) / 86400) as days_out,
+          SUM(EXTRACT(EPOCH FROM LEAST(COALESCE(s.ended_at, NOW()), b.window_end) - GREATEST(s.started_at, b.window_start)) / 86400 * s.daily_velocity) as lost_units
+        FROM stockouts s
+        CROSS JOIN bounds b
+        WHERE s.started_at < b.window_end AND COALESCE(s.ended_at, NOW()) > b.window_start
+        GROUP BY s.variant_id
       )
-      SELECT 
-        ps.variant_id,
-        ps.title,
-        ps.variant_title,
-        ps.times_ordered,
-        ps.total_quantity_sold,
-        ps.avg_price,
+      SELECT
+        p.variant_id, p.product_id, p.title, p.variant_title, p.vendor,
+        ${DISTRIBUTOR_SQL} as distributor,
+        COALESCE(p.price, 0) as price,
         COALESCE(p.inventory_quantity, 0) as current_stock,
-        p.sku,
-        p.barcode
-      FROM product_sales ps
-      LEFT JOIN products p ON p.variant_id = ps.variant_id
-      WHERE COALESCE(p.inventory_quantity, 0) <= 5  -- Out of stock or very low
-      ORDER BY ps.times_ordered DESC, ps.total_quantity_sold DESC
-      LIMIT 50
-    `);
+        EXTRACT(EPOCH FROM b.window_end - t.tracked_from) / 86400 as tracked_days,
+        COALESCE(o.days_out, 0) as days_out,
+        COALESCE(o.lost_units, 0) as lost_units,
+        COALESCE(o.stockouts, 0) as stockouts,
+        COALESCE(o.currently_out, FALSE) as currently_out
+      FROM tracked t
+      CROSS JOIN bounds b
+      JOIN products p ON p.variant_id = t.variant_id
+      LEFT JOIN outages o ON o.variant_id = t.variant_id
+      WHERE t.tracked_from < b.window_end
+        AND ($3::int IS NULL OR p.shop_id = $3)
+    `, [from.toISOString(), to.toISOString(), shopScope(req)]);
 
-    console.log(`✅ Found ${result.rows.length} hot products that need restocking`);
+    const group = STOCKOUT_GROUPS[groupBy];
+    const groups = {};
 
-    const hotProducts = result.rows.map(p => ({
-      variant_id: p.variant_id,
-      name: p.variant_title ? `${p.title} - ${p.variant_title}` : p.title,
-      title: p.title,
-      variant_title: p.variant_title,
-      times_ordered: parseInt(p.times_ordered),
-      total_sold: parseInt(p.total_quantity_sold),
-      avg_price: parseFloat(p.avg_price),
-      current_stock: parseInt(p.current_stock),
-      sku: p.sku,
-      barcode: p.barcode,
-      urgency: p.current_stock <= 0 ? 'critical' : 'low'
-    }));
+    result.rows.forEach(r => {
+      const key = r[group.key] ?? 'Unknown';
+      const g = groups[key] ||= {
+        key: String(key),
+        name: group.label(r),
+        variants: 0,
+        variantsOutNow: 0,
+        stockouts: 0,
+        trackedDays: 0,
+        daysOut: 0,
+        lostUnits: 0,
+        lostRevenue: 0
+      };
+      const lostUnits = parseFloat(r.lost_units);
 
-    res.json({ 
-      hotProducts,
-      summary: {
-        total: hotProducts.length,
-        critical: hotProducts.filter(p => p.current_stock <= 0).length,
-        low: hotProducts.filter(p => p.current_stock > 0 && p.current_stock <= 5).length
+      g.variants++;
+      if (r.currently_out) g.variantsOutNow++;
+      g.stockouts += parseInt(r.stockouts);
+      g.trackedDays += parseFloat(r.tracked_days);
+      g.daysOut += parseFloat(r.days_out);
+      g.lostUnits += lostUnits;
+      g.lostRevenue += lostUnits * parseFloat(r.price);
+    });
+
+    const rows = Object.values(groups).map(({ lostUnits, lostRevenue, ...g }) => ({
+      ...g,
+      trackedDays: Math.round(g.trackedDays * 10) / 10,
+      daysOut: Math.round(g.daysOut * 10) / 10,
+      estimatedLostUnits: Math.round(lostUnits * 10) / 10,
+      estimatedLostRevenue: Math.round(lostRevenue * 100) / 100,
+      inStockRate: g.trackedDays > 0 ? Math.round((1 - g.daysOut / g.trackedDays) * 1000) / 1000 : null
+    }))
+      .sort((a, b) => b.estimatedLostRevenue - a.estimatedLostRevenue || b.daysOut - a.daysOut)
+      .slice(0, limit);
+
+    const totals = Object.values(groups).reduce((t, g) => ({
+      trackedDays: t.trackedDays + g.trackedDays,
+      daysOut: t.daysOut + g.daysOut,
+      lostRevenue: t.lostRevenue + g.lostRevenue
+    }), { trackedDays: 0, daysOut: 0, lostRevenue: 0 });
+
+    console.log(`✅ Stockout report: ${rows.length} ${groupBy} rows`);
+
+    res.json({
+      groupBy,
+      shop: req.shop ? req.shop.shop_domain : 'all',
+      from: from.toISOString(),
+      to: to.toISOString(),
+      rows,
+      totals: {
+        daysOut: Math.round(totals.daysOut * 10) / 10,
+        estimatedLostRevenue: Math.round(totals.lostRevenue * 100) / 100,
+        inStockRate: totals.trackedDays > 0 ? Math.round((1 - totals.daysOut / totals.trackedDays) * 1000) / 1000 : null
       }
     });
   } catch (error) {
-    console.error('❌ Hot products error:', error);
+    console.error('❌ Stockout report error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Legacy endpoint for refreshing products (redirects to new system)
-app.post('/api/shopify', async (req, res) => {
-  const { action } = req.body;
-  
-  if (action === 'refreshProducts') {
-    // Just return products from database
-    try {
-      const result = await pool.query('SELECT COUNT(*) as count FROM products');
-      res.json({ 
-        success: true, 
-        message: `${result.rows[0].count} products available in database`,
-        note: 'Products are loaded from database. Use Order Blitz to sync order data.'
-      });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+// ==========================================================
+// 📬 SHOPIFY WEBHOOKS - near real-time orders, products and stock
+// Register each topic in Shopify pointing at /api/webhooks/<topic>,
+// e.g. /api/webhooks/orders/create. Deliveries are logged in
+// webhook_deliveries, keyed on X-Shopify-Webhook-Id.
+// ==========================================================
+
+// Check X-Shopify-Hmac-Sha256 against the raw request body. Webhooks created by
+// the OAuth app are signed with its API secret.
+function verifyShopifyWebhook(req) {
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET || process.env.SHOPIFY_API_SECRET;
+  return verifyWebhookSignature(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret);
+}
+
+async function handleOrderWebhook(order, shopId) {
+  const written = await upsertOrder(order, shopId);
+
+  if (order.customer?.id) {
+    await pool.query(`
+      UPDATE orders SET is_returning_customer = TRUE
+      WHERE customer_id = $1 AND shop_id = $2
+        AND (SELECT COUNT(*) FROM orders WHERE customer_id = $1 AND shop_id = $2) > 1
+    `, [order.customer.id, shopId]);
+  }
+
+  return { orderId: order.id, ...written };
+}
+
+const webhookHandlers = {
+  'orders/create': handleOrderWebhook,
+  'orders/updated': handleOrderWebhook,
+  'orders/cancelled': handleOrderWebhook,
+
+  'refunds/create': async (refund, shopId) => {
+    // A refund can arrive before its order has been synced; pull the order
+    // from Shopify first so the refund has something to attach to
+    const known = await pool.query('SELECT 1 FROM orders WHERE order_id = $1', [refund.order_id]);
+    const orderFetched = known.rows.length === 0;
+
+    if (orderFetched) {
+      const shopResult = await pool.query('SELECT * FROM shops WHERE shop_id = $1', [shopId]);
+      const { data } = await getShopifyClient(shopResult.rows[0]).get(`/orders/${refund.order_id}.json`);
+      await handleOrderWebhook(data.order, shopId);
+      console.log(`📥 Fetched order ${refund.order_id} for refund ${refund.id}`);
     }
-  } else if (action === 'refreshSales') {
-    // Redirect to Order Blitz
-    res.json({
-      success: true,
-      message: 'Use Order Blitz to refresh sales data',
-      redirect: '/api/order-blitz'
-    });
-  } else {
-    res.status(400).json({ error: 'Unknown action' });
+
+    const amount = await upsertRefund(refund, shopId);
+    return { orderId: refund.order_id, refundId: refund.id, amount, orderFetched };
+  },
+
+  'products/update': async (product, shopId) => {
+    const variantIds = [];
+    for (const variant of product.variants || []) {
+      await upsertProductVariant(product, variant, shopId);
+      variantIds.push(variant.id.toString());
+    }
+
+    // Variants dropped from the product no longer exist in Shopify
+    const flagged = await pool.query(`
+      UPDATE products SET is_deleted = TRUE
+      WHERE product_id = $1 AND NOT (variant_id = ANY($2)) AND is_deleted IS NOT TRUE
+    `, [product.id, variantIds]);
+
+    return { productId: product.id, variants: variantIds.length, variantsRemoved: flagged.rowCount };
+  },
+
+  'inventory_levels/update': async (level, shopId) => {
+    await upsertInventoryLevel(level, shopId);
+    await refreshInventoryTotals([level.inventory_item_id]);
+    await snapshotInventory({ shopId, inventoryItemIds: [level.inventory_item_id] });
+    return { inventoryItemId: level.inventory_item_id, available: level.available };
+  }
+};
+
+// A 'processing' claim older than this is from a request that died mid-handler
+const WEBHOOK_CLAIM_TIMEOUT_MINUTES = 10;
+
+// Mark a stored delivery as processing by this request, or null if another
+// request holds a live claim (or it's processed and includeProcessed is off)
+async function claimWebhookDelivery(webhookId, { includeProcessed = false } = {}) {
+  const result = await pool.query(`
+    UPDATE webhook_deliveries SET status = 'processing', claimed_at = NOW()
+    WHERE webhook_id = $1
+      AND (
+        status IN ('received', 'failed')
+        OR (status = 'processed' AND $2)
+        OR (status = 'processing' AND (claimed_at IS NULL OR claimed_at < NOW() - make_interval(mins => $3)))
+      )
+    RETURNING *
+  `, [webhookId, includeProcessed, WEBHOOK_CLAIM_TIMEOUT_MINUTES]);
+
+  return result.rows[0] || null;
+}
+
+// Run the handler for a logged delivery and record the outcome
+async function processWebhookDelivery(delivery) {
+  try {
+    const result = await webhookHandlers[delivery.topic](delivery.payload, delivery.shop_id);
+
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'processed', attempts = attempts + 1, error = NULL, processed_at = NOW()
+      WHERE webhook_id = $1
+    `, [delivery.webhook_id]);
+
+    return result;
+  } catch (error) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'failed', attempts = attempts + 1, error = $2
+      WHERE webhook_id = $1
+    `, [delivery.webhook_id, error.message]);
+
+    throw error;
+  }
+}
+
+app.post('/api/webhooks/:resource/:event', async (req, res) => {
+  const topic = `${req.params.resource}/${req.params.event}`;
+
+  if (!webhookHandlers[topic]) {
+    return res.status(404).json({ error: `Unsupported webhook topic: ${topic}` });
+  }
+
+  if (!verifyShopifyWebhook(req)) {
+    console.error(`❌ Webhook ${topic}: invalid HMAC signature`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  const headerTopic = req.get('X-Shopify-Topic');
+  if (headerTopic && headerTopic !== topic) {
+    return res.status(400).json({ error: `Topic mismatch: ${headerTopic} sent to ${topic}` });
+  }
+
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  if (!webhookId) {
+    return res.status(400).json({ error: 'Missing X-Shopify-Webhook-Id' });
+  }
+
+  // attachShop resolved X-Shopify-Shop-Domain against the registry
+  if (!req.shop) {
+    return res.status(400).json({ error: 'Missing or unknown X-Shopify-Shop-Domain' });
+  }
+
+  try {
+    // New deliveries are stored already claimed for this request
+    const inserted = await pool.query(`
+      INSERT INTO webhook_deliveries (webhook_id, topic, shop_domain, payload, shop_id, status, claimed_at)
+      VALUES ($1, $2, $3, $4, $5, 'processing', NOW())
+      ON CONFLICT (webhook_id) DO NOTHING
+      RETURNING *
+    `, [webhookId, topic, req.shop.shop_domain, JSON.stringify(req.body), req.shop.shop_id]);
+
+    let delivery = inserted.rows[0];
+
+    // Shopify retries deliveries; only reprocess ones that didn't succeed,
+    // and claim the row so concurrent retries can't both run the handler
+    if (!delivery) {
+      delivery = await claimWebhookDelivery(webhookId);
+
+      if (!delivery) {
+        const existing = await pool.query('SELECT status FROM webhook_deliveries WHERE webhook_id = $1', [webhookId]);
+        if (existing.rows[0]?.status === 'processing') {
+          console.log(`📬 Webhook ${topic} ${webhookId} is being processed by another request`);
+          return res.status(409).json({ error: 'Delivery is already being processed' });
+        }
+
+        console.log(`📬 Webhook ${topic} ${webhookId} already processed, skipping`);
+        return res.json({ success: true, duplicate: true });
+      }
+    }
+
+    const result = await processWebhookDelivery(delivery);
+    console.log(`📬 Webhook ${topic} processed:`, result);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error(`❌ Webhook ${topic} error:`, error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Manually trigger correlation calculation
-app.post('/api/correlations/calculate', async (req, res) => {
+// Delivery log, newest first. Query: status, topic, limit, shop
+app.get('/api/webhooks/deliveries', requireRole('admin'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
   try {
-    console.log('🔥 Manual correlation calculation triggered');
-    await calculateCorrelations();
-    
-    // Get count of correlations
-    const count = await pool.query('SELECT COUNT(*) as count FROM product_correlations');
-    
-    res.json({ 
-      success: true, 
-      correlationsCalculated: parseInt(count.rows[0].count),
-      message: 'Correlations calculated successfully'
-    });
+    const result = await pool.query(`
+      SELECT webhook_id, topic, shop_domain, status, attempts, error, received_at, processed_at
+      FROM webhook_deliveries
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR topic = $2)
+        AND ($4::int IS NULL OR shop_id = $4)
+      ORDER BY received_at DESC
+      LIMIT $3
+    `, [req.query.status || null, req.query.topic || null, limit, shopScope(req)]);
+
+    res.json({ deliveries: result.rows });
   } catch (error) {
-    console.error('❌ Manual correlation calculation failed:', error);
+    console.error('❌ Webhook deliveries error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Debug endpoint to check correlation status
-app.get('/api/correlations/debug', async (req, res) => {
+// Re-run a stored delivery (e.g. after fixing a failure)
+app.post('/api/webhooks/deliveries/:webhookId/replay', requireRole('admin'), async (req, res) => {
   try {
-    // Check product_correlations table
-    const correlationsCount = await pool.query('SELECT COUNT(*) as count FROM product_correlations');
-    
-    // Check order_items table
-    const orderItemsCount = await pool.query('SELECT COUNT(*) as count FROM order_items');
-    const uniqueVariants = await pool.query('SELECT COUNT(DISTINCT variant_id) as count FROM order_items WHERE variant_id IS NOT NULL');
-    
-    // Sample correlations
-    const sampleCorrelations = await pool.query(`
-      SELECT variant_a_id, variant_b_id, co_purchase_count 
-      FROM product_correlations 
-      ORDER BY co_purchase_count DESC 
-      LIMIT 5
-    `);
-    
-    // Check products table
-    const productsCount = await pool.query('SELECT COUNT(*) as count FROM products');
-    
-    res.json({
-      status: 'OK',
-      correlations: {
-        total: parseInt(correlationsCount.rows[0].count),
-        sample: sampleCorrelations.rows
-      },
-      orderItems: {
-        total: parseInt(orderItemsCount.rows[0].count),
-        uniqueVariants: parseInt(uniqueVariants.rows[0].count)
-      },
-      products: {
-        total: parseInt(productsCount.rows[0].count)
-      }
-    });
+    // Same claim as live deliveries so a replay can't race a Shopify retry
+    const delivery = await claimWebhookDelivery(req.params.webhookId, { includeProcessed: true });
+    if (!delivery) {
+      const existing = await pool.query('SELECT 1 FROM webhook_deliveries WHERE webhook_id = $1', [req.params.webhookId]);
+      return existing.rows.length === 0
+        ? res.status(404).json({ error: 'Delivery not found' })
+        : res.status(409).json({ error: 'Delivery is already being processed' });
+    }
+
+    const result = await processWebhookDelivery(delivery);
+    console.log(`🔁 Replayed webhook ${req.params.webhookId}`);
+
+    res.json({ success: true, ...result });
   } catch (error) {
-    console.error('❌ Debug error:', error);
+    console.error('❌ Webhook replay error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -922,6 +6417,20 @@ app.get('/health', (req, res) => {
 async function startServer() {
   console.log('🚀 Starting Store Planner Pro Backend...');
   await initDatabase();
+  startJobWorker();
+  startScheduler();
+
+  if (!hasCorsOrigins()) {
+    console.log('⚠️ CORS_ORIGINS not set; browser requests from other origins will be blocked');
+  }
+
+  enqueueJob('velocity').catch(err => console.error('Sales velocity error:', err));
+
+  // Catch stock changes that didn't arrive through a sync or webhook
+  setInterval(() => {
+    snapshotInventory().catch(err => console.error('Inventory snapshot error:', err));
+  }, INVENTORY_SNAPSHOT_INTERVAL_MS);
+
   app.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`🔥 Order Blitz: OPTIMIZED & READY`);